@@ -0,0 +1,97 @@
+// Per-course grade statistics and the moderation comparison built on them
+const { resolveGrade, roundGPA } = require('./grading.cjs');
+
+// A course is flagged when its mean grade points move more than this many
+// historical standard deviations, or its failure rate rises by more than
+// MODERATION_FAILURE_RATE_RISE percentage points, against other sittings
+const MODERATION_DEVIATION = parseFloat(process.env.MODERATION_DEVIATION) || 1;
+const MODERATION_FAILURE_RATE_RISE = parseFloat(process.env.MODERATION_FAILURE_RATE_RISE) || 20;
+// Fewer historical grades than this are not a reliable norm
+const MODERATION_MIN_HISTORY = 10;
+
+// Per-course totals from grade counts. Whether a grade passes and what it is
+// worth depends on the scheme it was graded under.
+const summarizeGrades = (counts, schemeFor) => {
+  const courses = {};
+
+  counts.forEach(({ _id, count }) => {
+    const course = courses[_id.code] || {
+      code: _id.code,
+      grades: {},
+      total: 0,
+      passed: 0,
+      points: 0,
+      squaredPoints: 0
+    };
+    const resolved = resolveGrade(schemeFor({ gradingScheme: _id.scheme, programme: _id.programme }), _id.grade);
+    const points = resolved?.entry.points || 0;
+
+    course.grades[_id.grade] = (course.grades[_id.grade] || 0) + count;
+    course.total += count;
+    course.points += points * count;
+    course.squaredPoints += points * points * count;
+    if (resolved?.entry.pass) course.passed += count;
+    courses[_id.code] = course;
+  });
+
+  return Object.values(courses)
+    .map(({ points, squaredPoints, ...course }) => {
+      const mean = points / course.total;
+      return {
+        ...course,
+        failed: course.total - course.passed,
+        passRate: roundGPA((course.passed / course.total) * 100),
+        failureRate: roundGPA(((course.total - course.passed) / course.total) * 100),
+        meanGradePoints: roundGPA(mean),
+        standardDeviation: roundGPA(Math.sqrt(Math.max(squaredPoints / course.total - mean * mean, 0)))
+      };
+    })
+    .sort((a, b) => a.code.localeCompare(b.code));
+};
+
+const moderationFlags = (course, history) => {
+  if (!history || history.total < MODERATION_MIN_HISTORY) return [];
+
+  const flags = [];
+  const shift = course.meanGradePoints - history.meanGradePoints;
+
+  if (history.standardDeviation > 0 && Math.abs(shift) > MODERATION_DEVIATION * history.standardDeviation) {
+    flags.push(`Mean ${course.meanGradePoints} is ${shift > 0 ? 'above' : 'below'} the historical ${history.meanGradePoints} `
+      + `by ${roundGPA(Math.abs(shift) / history.standardDeviation)} standard deviations`);
+  }
+  if (course.failureRate - history.failureRate > MODERATION_FAILURE_RATE_RISE) {
+    flags.push(`Failure rate ${course.failureRate}% against a historical ${history.failureRate}%`);
+  }
+
+  return flags;
+};
+
+// Grade counts of one year and semester, grouped by sitting (batch, programme
+// and exam session), are split into the sittings being reported and the rest.
+// The same courses sat by other batches or in other exam sessions are the
+// historical norm each reported course is compared with.
+const moderateCourses = (counts, reported, schemeFor) => {
+  const isReported = ({ _id }) => Object.entries(reported).every(([field, value]) => _id[field] === value);
+
+  const current = summarizeGrades(counts.filter(isReported), schemeFor);
+  const history = new Map(
+    summarizeGrades(counts.filter(count => !isReported(count)), schemeFor)
+      .map(course => [course.code, course])
+  );
+
+  return current.map(course => {
+    const norm = history.get(course.code);
+    return {
+      ...course,
+      history: norm && {
+        total: norm.total,
+        meanGradePoints: norm.meanGradePoints,
+        standardDeviation: norm.standardDeviation,
+        failureRate: norm.failureRate
+      },
+      flags: moderationFlags(course, norm)
+    };
+  });
+};
+
+module.exports = { summarizeGrades, moderationFlags, moderateCourses };
@@ -0,0 +1,22 @@
+// Grade arithmetic shared by the server and its tests
+
+// Resolve a letter grade or numeric mark against a grading scheme
+const resolveGrade = (scheme, value) => {
+  const raw = String(value ?? '').trim().toUpperCase();
+
+  if (/^\d+(\.\d+)?$/.test(raw)) {
+    const marks = parseFloat(raw);
+    const band = scheme.grades.find(entry => (
+      entry.minMarks != null && entry.maxMarks != null &&
+      marks >= entry.minMarks && marks <= entry.maxMarks
+    ));
+    return band ? { grade: band.letter, marks, entry: band } : null;
+  }
+
+  const entry = scheme.grades.find(grade => grade.letter === raw);
+  return entry ? { grade: raw, entry } : null;
+};
+
+const roundGPA = (value) => parseFloat(value.toFixed(2));
+
+module.exports = { resolveGrade, roundGPA };
@@ -3,10 +3,17 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const multer = require('multer');
-const { createWorker } = require('tesseract.js');
+const { createScheduler, createWorker } = require('tesseract.js');
 const sharp = require('sharp');
+const { pdfToPng } = require('pdf-to-png-converter');
+const PDFDocument = require('pdfkit');
+const ExcelJS = require('exceljs');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { resolveGrade, roundGPA } = require('./grading.cjs');
+const { summarizeGrades, moderateCourses } = require('./courseStatistics.cjs');
 
 const app = express();
 app.use(cors());
@@ -17,51 +24,386 @@ mongoose.connect(process.env.MONGO_URL, {
   useNewUrlParser: true,
   useUnifiedTopology: true
 })
-.then(() => console.log('Connected to MongoDB Atlas'))
+.then(() => {
+  console.log('Connected to MongoDB Atlas');
+  return Promise.all([
+    ensureDefaultGradingScheme(),
+    ensureDefaultClassRuleSet(),
+    linkStudentRecords(),
+    resumeUploadJobs()
+  ]);
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
-// Result Schema
+// Grading Scheme Schema
+const gradingSchemeSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  description: String,
+  grades: [{
+    letter: { type: String, required: true },
+    points: { type: Number, required: true },
+    pass: { type: Boolean, default: true },
+    minMarks: Number,
+    maxMarks: Number
+  }],
+  isDefault: { type: Boolean, default: false }
+}, { timestamps: true });
+
+const GradingScheme = mongoose.model('GradingScheme', gradingSchemeSchema);
+
+// Course Catalogue Schema
+const courseSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true },
+  title: { type: String, required: true },
+  credits: { type: Number, required: true },
+  year: Number,
+  semester: Number,
+  programme: String,
+  countsTowardsGPA: { type: Boolean, default: true }
+}, { timestamps: true });
+
+const Course = mongoose.model('Course', courseSchema);
+
+// Sheet Template Schema (layout of a department's printed result sheet)
+const sheetTemplateSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  description: String,
+  columns: [{
+    role: {
+      type: String,
+      enum: ['indexNo', 'name', 'course', 'ignore'],
+      required: true
+    },
+    aliases: [String]
+  }],
+  // Spreadsheet headers that name a course other than by its catalogue code
+  headerCodes: [{
+    header: String,
+    code: String
+  }],
+  // Header row of the spreadsheet layout this template was mapped from
+  layoutSignature: { type: String, index: true },
+  indexNoPattern: String,
+  separator: String,
+  // Region of interest as fractions of the page width/height
+  region: {
+    x: Number,
+    y: Number,
+    width: Number,
+    height: Number
+  },
+  // Overrides for the image preprocessing defaults; unset fields use the default
+  preprocessing: {
+    upscaleMinWidth: Number,
+    denoise: Number,
+    perspective: Boolean,
+    deskew: Boolean,
+    maxSkewAngle: Number,
+    threshold: {
+      type: String,
+      enum: ['adaptive', 'global', 'none']
+    },
+    thresholdWindow: Number,
+    thresholdOffset: Number,
+    globalThreshold: Number,
+    removeLines: Boolean,
+    minLineLength: Number
+  }
+}, { timestamps: true });
+
+const SheetTemplate = mongoose.model('SheetTemplate', sheetTemplateSchema);
+
+// Programme Schema (per-programme calculation settings)
+const programmeSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true },
+  name: { type: String, required: true },
+  // Relative weight of each study year in the final GPA, e.g. [20, 30, 50];
+  // empty means every credit counts equally
+  yearWeights: [Number],
+  // Which attempt of a repeated course counts towards the GPA
+  repeatPolicy: {
+    type: String,
+    enum: ['best', 'latest', 'capped'],
+    default: 'best'
+  },
+  // Highest grade a re-sit can earn under the 'capped' policy
+  repeatCapGrade: { type: String, default: 'C' },
+  // Scheme the programme's sheets are graded with when an upload names none;
+  // empty uses the default scheme
+  gradingScheme: { type: mongoose.Schema.Types.ObjectId, ref: 'GradingScheme' }
+}, { timestamps: true });
+
+const Programme = mongoose.model('Programme', programmeSchema);
+
+// Class Award Rule Set Schema (classes listed best first)
+const classRuleSetSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  // Programme code this rule set applies to; the default covers the rest
+  programme: String,
+  isDefault: { type: Boolean, default: false },
+  classes: [{
+    name: { type: String, required: true },
+    minGPA: { type: Number, required: true },
+    minGradePoints: Number,
+    noRepeats: { type: Boolean, default: false },
+    minCredits: Number
+  }],
+  requireAllPassed: { type: Boolean, default: true },
+  minTotalCredits: Number,
+  failClass: { type: String, default: 'Fail/Incomplete' }
+}, { timestamps: true });
+
+const ClassRuleSet = mongoose.model('ClassRuleSet', classRuleSetSchema);
+
+// Student Schema (identity and final standing, one per index number)
+const studentSchema = new mongoose.Schema({
+  indexNo: { type: String, required: true, unique: true },
+  name: { type: String, required: true },
+  programme: String,
+  intakeYear: Number,
+  status: {
+    type: String,
+    enum: ['active', 'graduated', 'withdrawn', 'suspended'],
+    default: 'active'
+  },
+  yearGPA: { type: Map, of: Number },
+  finalGPA: Number,
+  finalClass: String,
+  finalClassReason: String,
+  // Names read for this index number that differ from the recorded one
+  nameConflicts: [{
+    name: String,
+    fileName: String,
+    draft: { type: mongoose.Schema.Types.ObjectId, ref: 'Draft' },
+    seenAt: { type: Date, default: Date.now }
+  }]
+}, { timestamps: true });
+
+const Student = mongoose.model('Student', studentSchema);
+
+// Result Schema (one student's grades for one sheet)
 const resultSchema = new mongoose.Schema({
   indexNo: { type: String, required: true },
-  name: { type: String, required: true },
+  student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student' },
+  // Intake batch (e.g. 2020) and programme code, used to scope calculations
+  batch: Number,
+  programme: String,
   semester: { type: Number, required: true },
   year: { type: Number, required: true },
+  examSession: String,
+  gradingScheme: { type: mongoose.Schema.Types.ObjectId, ref: 'GradingScheme' },
   courses: [{
     code: String,
     grade: String,
+    marks: Number,
     creditHours: Number,
-    qualityPoints: Number
+    countsTowardsGPA: { type: Boolean, default: true },
+    qualityPoints: Number,
+    attempt: { type: Number, default: 1 }
   }],
-  semesterGPA: Number,
-  yearGPA: Number,
-  finalGPA: Number,
-  finalClass: String
+  semesterGPA: Number
 });
 
+// One grade per student, course, sheet period and exam session; a re-sit in a
+// later session is a new attempt rather than a duplicate
+resultSchema.index(
+  { indexNo: 1, year: 1, semester: 1, examSession: 1, 'courses.code': 1 },
+  { unique: true }
+);
+
+resultSchema.index({ batch: 1, programme: 1 });
+
 const Result = mongoose.model('Result', resultSchema);
 
+// Import Draft Schema (OCR output awaiting review before it becomes Results)
+const bboxSchema = new mongoose.Schema({
+  x0: Number,
+  y0: Number,
+  x1: Number,
+  y1: Number
+}, { _id: false });
+
+const ocrCellSchema = new mongoose.Schema({
+  text: String,
+  confidence: Number,
+  bbox: bboxSchema,
+  lowConfidence: Boolean,
+  // PDF page the cell was read from
+  page: Number
+}, { _id: false });
+
+// Something the parser could not make sense of: a row error to correct, or a
+// line left out of the draft
+const parseIssueSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['invalidGrade', 'invalidIndexNo', 'missingCell', 'extraCells', 'skippedLine']
+  },
+  // Column the problem is in: 'indexNo', 'name' or a course code
+  field: String,
+  line: String,
+  page: Number,
+  message: String
+}, { _id: false });
+
+const ocrCorrectionSchema = new mongoose.Schema({
+  field: String,
+  from: String,
+  to: String,
+  // How the value was fixed: a known character confusion, the nearest grade
+  // in the scheme or the nearest index number on the roster
+  rule: {
+    type: String,
+    enum: ['substitution', 'gradeScale', 'roster']
+  }
+}, { _id: false });
+
+const draftRowSchema = new mongoose.Schema({
+  indexNo: String,
+  name: String,
+  // Name already on the student record when it differs from the one read
+  recordedName: String,
+  courses: [{
+    code: String,
+    grade: String,
+    marks: Number,
+    creditHours: Number,
+    countsTowardsGPA: { type: Boolean, default: true },
+    qualityPoints: Number,
+    ocr: ocrCellSchema
+  }],
+  semesterGPA: Number,
+  // Problems that keep the row from being imported until corrected
+  issues: [parseIssueSchema],
+  // Values the OCR correction layer changed, as read and as corrected
+  corrections: [ocrCorrectionSchema],
+  ocr: {
+    line: String,
+    confidence: Number,
+    bbox: bboxSchema,
+    indexNo: ocrCellSchema,
+    name: ocrCellSchema
+  }
+});
+
+const draftSchema = new mongoose.Schema({
+  semester: { type: Number, required: true },
+  year: { type: Number, required: true },
+  examSession: String,
+  batch: Number,
+  programme: String,
+  gradingScheme: { type: mongoose.Schema.Types.ObjectId, ref: 'GradingScheme' },
+  sheetTemplate: { type: mongoose.Schema.Types.ObjectId, ref: 'SheetTemplate' },
+  fileName: String,
+  source: {
+    type: String,
+    enum: ['image', 'pdf', 'spreadsheet'],
+    default: 'image'
+  },
+  imagePath: String,
+  // Rendered pages of a PDF upload and how each one parsed
+  pages: [{
+    page: Number,
+    imagePath: String,
+    status: { type: String, enum: ['parsed', 'failed'] },
+    count: Number,
+    error: String
+  }],
+  contentHash: { type: String, index: true },
+  importMode: {
+    type: String,
+    enum: ['reject', 'replace', 'merge'],
+    default: 'reject'
+  },
+  ocrText: String,
+  headers: [String],
+  rows: [draftRowSchema],
+  // Lines of the sheet that were not taken as student rows
+  skippedLines: [parseIssueSchema],
+  status: {
+    type: String,
+    // 'confirming' while a confirm request is importing the rows
+    enum: ['pending', 'confirming', 'confirmed'],
+    default: 'pending'
+  },
+  confirmedAt: Date
+}, { timestamps: true });
+
+const Draft = mongoose.model('Draft', draftSchema);
+
+// Upload Job Schema (a sheet queued for background OCR)
+const uploadJobSchema = new mongoose.Schema({
+  fileName: String,
+  filePath: String,
+  mimetype: String,
+  // Form fields sent with the upload (semester, year, scope, template, ...)
+  options: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued',
+    index: true
+  },
+  draft: { type: mongoose.Schema.Types.ObjectId, ref: 'Draft' },
+  // Upload response without the draft itself, e.g. counts or needsMapping
+  result: mongoose.Schema.Types.Mixed,
+  error: String,
+  startedAt: Date,
+  finishedAt: Date
+}, { timestamps: true });
+
+const UploadJob = mongoose.model('UploadJob', uploadJobSchema);
+
+// Upload Reservation Schema (content hash of a sheet being turned into a draft).
+// The unique index lets only one copy of a file be processed at a time; stale
+// reservations left by a crash expire on their own.
+const uploadReservationSchema = new mongoose.Schema({
+  contentHash: { type: String, required: true, unique: true },
+  createdAt: { type: Date, default: Date.now, expires: 3600 }
+});
+
+const UploadReservation = mongoose.model('UploadReservation', uploadReservationSchema);
+
 // File Upload Configuration
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
     cb(null, 'uploads/');
   },
   filename: (req, file, cb) => {
-    cb(null, `${Date.now()}${path.extname(file.originalname)}`);
+    // Files dropped together arrive within the same millisecond
+    cb(null, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}${path.extname(file.originalname)}`);
   }
 });
 
+// Marks already kept in Excel are imported directly instead of through OCR
+const isSpreadsheet = (file) => /\.(csv|xlsx)$/i.test(file.originalname);
+
+const isPdf = (file) => file.mimetype === 'application/pdf' || /\.pdf$/i.test(file.originalname);
+
 const upload = multer({ 
   storage,
   fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
+    if (file.mimetype.startsWith('image/') || isPdf(file) || isSpreadsheet(file)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image, PDF, CSV or XLSX files are allowed!'), false);
+    }
+  }
+});
+
+// CSV Upload Configuration (kept in memory, used for catalogue imports)
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (/\.csv$/i.test(file.originalname) || file.mimetype === 'text/csv') {
       cb(null, true);
     } else {
-      cb(new Error('Only image files are allowed!'), false);
+      cb(new Error('Only CSV files are allowed!'), false);
     }
   }
 });
 
-// Grade Points Mapping
+// Default Grade Points Mapping (seeded as the default grading scheme)
 const gradePoints = {
   'A+': 4.0, 'A': 3.7, 'A-': 3.3,
   'B+': 3.0, 'B': 2.7, 'B-': 2.3,
@@ -69,210 +411,4938 @@ const gradePoints = {
   'F': 0.0
 };
 
-// Image Preprocessing and OCR Processing
-const processResultSheet = async (imagePath) => {
-  try {
-    // Preprocess image
-    const processedImage = await sharp(imagePath)
-      .greyscale()
-      .normalize()
-      .threshold(128)
-      .toBuffer();
+const ensureDefaultGradingScheme = async () => {
+  if (await GradingScheme.exists({})) return;
 
-    const processedPath = path.join(__dirname, 'processed.png');
-    await sharp(processedImage).toFile(processedPath);
+  await GradingScheme.create({
+    name: 'Default',
+    description: 'Standard 4.0 scale',
+    grades: Object.entries(gradePoints).map(([letter, points]) => ({
+      letter,
+      points,
+      pass: letter !== 'F'
+    })),
+    isDefault: true
+  });
+  console.log('Seeded default grading scheme');
+};
 
-    // OCR Processing
-    const worker = await createWorker();
-    
-    await worker.setParameters({
-      tessedit_pageseg_mode: '6',
-      tessedit_char_whitelist: '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ/.+-| ',
-      preserve_interword_spaces: '1'
-    });
+// Scheme a programme's sheets are graded with, if it has one of its own
+const programmeGradingScheme = async (code) => {
+  if (!code) return undefined;
+  const programme = await Programme.findOne({ code }).select('gradingScheme').lean();
+  return programme?.gradingScheme;
+};
 
-    const { data: { text } } = await worker.recognize(processedPath);
-    await worker.terminate();
-    
-    // Clean up processed image
-    fs.unlinkSync(processedPath);
+// Use the requested scheme, or the default one when none is given
+const loadGradingScheme = async (id) => {
+  const scheme = id
+    ? await GradingScheme.findById(id).lean()
+    : await GradingScheme.findOne({ isDefault: true }).lean();
 
-    return text;
-  } catch (error) {
-    console.error('Image processing error:', error);
-    throw error;
+  if (!scheme) {
+    throw new Error(id ? 'Grading scheme not found' : 'No default grading scheme configured');
   }
+
+  return scheme;
 };
 
-// Parse OCR Text
-const parseResultText = (text, semester, year) => {
-  const lines = text.split('\n')
-    .map(line => line.replace(/\|/g, '').trim())
-    .filter(line => line && !line.startsWith('-'));
+const isBlank = (value) => value == null || value === '';
 
-  if (lines.length < 2) {
-    throw new Error('Insufficient data extracted from image');
+const validateGradingScheme = ({ name, grades }) => {
+  const errors = [];
+
+  if (!String(name || '').trim()) {
+    errors.push('Name is required');
   }
 
-  const headers = lines[0].split(/\s{2,}/).filter(col => col.trim() !== '');
-  const results = [];
+  if (!Array.isArray(grades) || grades.length === 0) {
+    errors.push('At least one grade is required');
+    return errors;
+  }
 
-  for (let i = 1; i < lines.length; i++) {
-    const columns = lines[i].split(/\s{2,}/).filter(col => col.trim() !== '');
-    
-    if (columns.length >= 7) {
-      const indexNo = columns[0].trim();
-      const name = columns[1].trim();
-      const courses = [];
-      let totalQualityPoints = 0;
-      let totalCreditHours = 0;
-
-      for (let j = 2; j < 7; j++) {
-        const courseCode = headers[j] || `CO${year}${semester}${j}${j}`;
-        const grade = columns[j].trim().toUpperCase();
-        
-        if (!gradePoints[grade]) {
-          throw new Error(`Invalid grade '${grade}' for ${name}`);
-        }
+  const letters = new Set();
+  grades.forEach((grade, index) => {
+    const letter = String(grade.letter || '').trim().toUpperCase();
 
-        const creditHours = parseInt(courseCode[3]) || 2;
-        const qualityPoints = gradePoints[grade] * creditHours;
-        
-        courses.push({
-          code: courseCode,
-          grade,
-          creditHours,
-          qualityPoints
-        });
+    if (!letter) errors.push(`Grade ${index + 1} has no letter`);
+    if (letters.has(letter)) errors.push(`Grade '${letter}' is listed twice`);
+    letters.add(letter);
 
-        totalQualityPoints += qualityPoints;
-        totalCreditHours += creditHours;
-      }
+    if (!Number.isFinite(Number(grade.points)) || Number(grade.points) < 0) {
+      errors.push(`Grade '${letter}' needs a non-negative point value`);
+    }
+    if (isBlank(grade.minMarks) !== isBlank(grade.maxMarks)) {
+      errors.push(`Grade '${letter}' needs both a minimum and maximum mark`);
+    } else if (Number(grade.minMarks) > Number(grade.maxMarks)) {
+      errors.push(`Grade '${letter}' has a minimum mark above its maximum`);
+    }
+  });
 
-      results.push({
-        indexNo,
-        name,
-        semester,
-        year,
-        courses,
-        semesterGPA: totalQualityPoints / totalCreditHours
-      });
+  const bands = grades
+    .filter(grade => !isBlank(grade.minMarks) && !isBlank(grade.maxMarks))
+    .map(grade => ({ letter: grade.letter, min: Number(grade.minMarks), max: Number(grade.maxMarks) }))
+    .sort((a, b) => a.min - b.min);
+
+  for (let i = 1; i < bands.length; i++) {
+    if (bands[i].min <= bands[i - 1].max) {
+      errors.push(`Marks ranges for '${bands[i - 1].letter}' and '${bands[i].letter}' overlap`);
     }
   }
 
-  return results;
+  return errors;
 };
 
-// Upload Result Sheet Endpoint
-app.post('/api/upload', upload.single('resultSheet'), async (req, res) => {
-  try {
-    const { semester, year } = req.body;
-    
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
-    }
+const normalizeGradingScheme = ({ name, description, grades, isDefault }) => ({
+  name: String(name).trim(),
+  description,
+  grades: grades.map(grade => ({
+    letter: String(grade.letter).trim().toUpperCase(),
+    points: Number(grade.points),
+    pass: grade.pass !== false,
+    minMarks: isBlank(grade.minMarks) ? undefined : Number(grade.minMarks),
+    maxMarks: isBlank(grade.maxMarks) ? undefined : Number(grade.maxMarks)
+  })),
+  isDefault: Boolean(isDefault)
+});
 
-    // Process image and extract text
-    const ocrText = await processResultSheet(req.file.path);
-    console.log('OCR Output:', ocrText);
+// Cells read below this confidence are flagged for review
+const LOW_CONFIDENCE_THRESHOLD = parseFloat(process.env.OCR_CONFIDENCE_THRESHOLD) || 70;
 
-    // Parse and validate results
-    const results = parseResultText(ocrText, semester, year);
+// Flatten Tesseract's block tree into the list of recognised lines
+const flattenOcrLines = (blocks) => (blocks || [])
+  .flatMap(block => block.paragraphs)
+  .flatMap(paragraph => paragraph.lines)
+  .map(line => ({
+    text: line.text,
+    confidence: line.confidence,
+    bbox: line.bbox,
+    words: line.words.map(word => ({
+      text: word.text,
+      confidence: word.confidence,
+      bbox: word.bbox
+    }))
+  }));
 
-    // Save to database
-    await Result.insertMany(results);
-    
-    res.status(200).json({ 
-      success: true,
-      message: 'Results processed successfully',
-      count: results.length
-    });
+// Number of Tesseract workers kept alive for OCR; also how many queued uploads run at once
+const OCR_WORKERS = parseInt(process.env.OCR_WORKERS) || 2;
 
-  } catch (error) {
-    console.error('Upload error:', error);
-    res.status(500).json({ 
-      success: false,
-      error: 'Result processing failed',
-      details: error.message
+let ocrScheduler = null;
+
+// Recognition progress callbacks, keyed by the job id passed to Tesseract
+const ocrProgressListeners = new Map();
+
+// Start the worker pool on first use and reuse it for every sheet after that
+const getOcrScheduler = () => {
+  if (!ocrScheduler) {
+    ocrScheduler = (async () => {
+      const scheduler = createScheduler();
+      for (let i = 0; i < OCR_WORKERS; i++) {
+        const worker = await createWorker('eng', 1, {
+          logger: message => ocrProgressListeners.get(message.userJobId)?.(message)
+        });
+        await worker.setParameters({
+          tessedit_pageseg_mode: '6',
+          tessedit_char_whitelist: '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ/.+-| ',
+          preserve_interword_spaces: '1'
+        });
+        scheduler.addWorker(worker);
+      }
+      return scheduler;
+    })().catch(error => {
+      ocrScheduler = null;
+      throw error;
     });
-  } finally {
-    // Clean up uploaded file
-    if (req.file) {
-      fs.unlinkSync(req.file.path);
+  }
+
+  return ocrScheduler;
+};
+
+// Default preprocessing for scanned sheets; a sheet template may override any
+// of these to suit a department's scanner or phone photos
+const DEFAULT_PREPROCESSING = {
+  // Images narrower than this are enlarged before OCR (0 turns it off)
+  upscaleMinWidth: 2000,
+  // Median filter size used to remove speckle (0 turns it off)
+  denoise: 3,
+  perspective: false,
+  deskew: true,
+  maxSkewAngle: 5,
+  // 'adaptive' compares each pixel with its neighbourhood, 'global' with one level
+  threshold: 'adaptive',
+  // Neighbourhood width as a fraction of the image width
+  thresholdWindow: 0.03,
+  // How much darker than its neighbourhood (percent) a pixel must be to count as ink
+  thresholdOffset: 12,
+  globalThreshold: 128,
+  removeLines: true,
+  // Ruled lines are ink runs at least this fraction of the shorter image side
+  minLineLength: 0.1
+};
+
+const THRESHOLD_METHODS = ['adaptive', 'global', 'none'];
+
+const PREPROCESSING_RANGES = {
+  upscaleMinWidth: [0, 6000],
+  denoise: [0, 9],
+  maxSkewAngle: [0, 15],
+  thresholdWindow: [0.005, 0.25],
+  thresholdOffset: [0, 50],
+  globalThreshold: [0, 255],
+  minLineLength: [0.02, 1]
+};
+
+const validatePreprocessing = (settings) => {
+  const errors = [];
+  if (!settings) return errors;
+
+  Object.entries(PREPROCESSING_RANGES).forEach(([key, [min, max]]) => {
+    if (isBlank(settings[key])) return;
+    const value = Number(settings[key]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      errors.push(`Preprocessing ${key} must be between ${min} and ${max}`);
     }
+  });
+
+  if (!isBlank(settings.threshold) && !THRESHOLD_METHODS.includes(settings.threshold)) {
+    errors.push(`Preprocessing threshold must be one of ${THRESHOLD_METHODS.join(', ')}`);
   }
+
+  return errors;
+};
+
+// Keep only the settings given, so the rest fall back to the defaults
+const normalizePreprocessing = (settings) => {
+  if (!settings) return undefined;
+
+  const normalized = {};
+  Object.keys(PREPROCESSING_RANGES).forEach(key => {
+    if (!isBlank(settings[key])) normalized[key] = Number(settings[key]);
+  });
+  ['perspective', 'deskew', 'removeLines'].forEach(key => {
+    if (settings[key] != null && settings[key] !== '') normalized[key] = settings[key] === true || settings[key] === 'true';
+  });
+  if (!isBlank(settings.threshold)) normalized.threshold = settings.threshold;
+
+  return normalized;
+};
+
+const preprocessingSettings = (overrides) => ({
+  ...DEFAULT_PREPROCESSING,
+  ...normalizePreprocessing(overrides)
 });
 
-// Calculate Final GPA Endpoint
-app.post('/api/calculate-final', async (req, res) => {
-  try {
-    const allResults = await Result.find();
-    const students = {};
+// Greyscale images are passed between steps as raw single-channel pixels
+const readGrey = async (input) => {
+  const { data, info } = await sharp(input)
+    .flatten({ background: '#ffffff' })
+    .greyscale()
+    .extractChannel(0)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
 
-    // Group results by student
-    allResults.forEach(result => {
-      if (!students[result.indexNo]) {
-        students[result.indexNo] = {
-          name: result.name,
-          results: []
-        };
+  return { data, width: info.width, height: info.height };
+};
+
+const fromGrey = ({ data, width, height }) => sharp(data, { raw: { width, height, channels: 1 } });
+
+const toPng = (image) => fromGrey(image).png().toBuffer();
+
+// Otsu's method: the grey level that best separates ink from paper
+const otsuLevel = ({ data }) => {
+  const histogram = new Array(256).fill(0);
+  for (let i = 0; i < data.length; i++) histogram[data[i]]++;
+
+  const total = data.length;
+  const sum = histogram.reduce((acc, count, level) => acc + count * level, 0);
+  let background = 0;
+  let backgroundSum = 0;
+  let best = { level: 128, variance: -1 };
+
+  for (let level = 0; level < 256; level++) {
+    background += histogram[level];
+    if (!background || background === total) continue;
+    backgroundSum += level * histogram[level];
+
+    const backgroundMean = backgroundSum / background;
+    const foregroundMean = (sum - backgroundSum) / (total - background);
+    const variance = background * (total - background) * (backgroundMean - foregroundMean) ** 2;
+    if (variance > best.variance) best = { level, variance };
+  }
+
+  return best.level;
+};
+
+// Small ink mask used to measure skew and find the page outline quickly
+const inkSample = async (image, sampleWidth = 1000) => {
+  const scale = Math.min(1, sampleWidth / image.width);
+  const small = scale < 1
+    ? await readGrey(await fromGrey(image).resize(Math.round(image.width * scale)).png().toBuffer())
+    : image;
+  const level = otsuLevel(small);
+  const ink = new Uint8Array(small.data.length);
+  for (let i = 0; i < ink.length; i++) ink[i] = small.data[i] < level ? 1 : 0;
+
+  return { ink, width: small.width, height: small.height, scale: small.width / image.width };
+};
+
+// Skew is the angle at which ink rows line up best, i.e. the row profile of
+// the rotated ink is most sharply peaked
+const estimateSkew = async (image, maxAngle) => {
+  const { ink, width, height } = await inkSample(image);
+  const points = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (ink[y * width + x]) points.push(x, y);
+    }
+  }
+  if (!points.length) return 0;
+
+  let best = { angle: 0, score: -1 };
+  const bins = new Float64Array(width + height * 2);
+  for (let angle = -maxAngle; angle <= maxAngle + 1e-9; angle += 0.2) {
+    const radians = (angle * Math.PI) / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+    bins.fill(0);
+    for (let i = 0; i < points.length; i += 2) {
+      bins[Math.round(points[i + 1] * cos - points[i] * sin) + width]++;
+    }
+    const score = bins.reduce((acc, count) => acc + count * count, 0);
+    if (score > best.score) best = { angle, score };
+  }
+
+  return Math.round(best.angle * 100) / 100;
+};
+
+const deskewImage = async (image, maxAngle) => {
+  const angle = await estimateSkew(image, maxAngle);
+  if (Math.abs(angle) < 0.1) return { image, angle: 0 };
+
+  const rotated = await fromGrey(image)
+    .rotate(-angle, { background: '#ffffff' })
+    .png()
+    .toBuffer();
+
+  return { image: await readGrey(rotated), angle };
+};
+
+// Solve the 3x3 homography mapping four source corners onto four target corners
+const solveHomography = (from, to) => {
+  const rows = [];
+  from.forEach(([x, y], i) => {
+    const [u, v] = to[i];
+    rows.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+    rows.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+  });
+
+  // Gaussian elimination with partial pivoting
+  for (let col = 0; col < 8; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < 8; row++) {
+      if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+    }
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+    if (Math.abs(rows[col][col]) < 1e-12) return null;
+
+    for (let row = 0; row < 8; row++) {
+      if (row === col) continue;
+      const factor = rows[row][col] / rows[col][col];
+      for (let k = col; k < 9; k++) rows[row][k] -= factor * rows[col][k];
+    }
+  }
+
+  return [...rows.map((row, i) => row[8] / row[i]), 1];
+};
+
+// Corners of the inked area in full-size pixels. Only pixels with mostly inked
+// neighbours count, so stray specks near the edges do not pull a corner out.
+const findPageCorners = async (image) => {
+  const { ink, width, height, scale } = await inkSample(image);
+  const points = [];
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      if (!ink[y * width + x]) continue;
+      let neighbours = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) neighbours += ink[(y + dy) * width + x + dx];
       }
-      students[result.indexNo].results.push(result);
-    });
+      if (neighbours >= 4) points.push([x, y]);
+    }
+  }
+  if (points.length < 100) return null;
 
-    // Process each student
-    for (const [indexNo, student] of Object.entries(students)) {
-      const resultsByYear = {};
-      
-      // Group by year
-      student.results.forEach(result => {
-        if (!resultsByYear[result.year]) {
-          resultsByYear[result.year] = [];
-        }
-        resultsByYear[result.year].push(result);
-      });
+  const pick = (score) => points.reduce((best, point) => (score(point) > score(best) ? point : best));
+  return [
+    pick(([x, y]) => -(x + y)),
+    pick(([x, y]) => x - y),
+    pick(([x, y]) => x + y),
+    pick(([x, y]) => y - x)
+  ].map(([x, y]) => [x / scale, y / scale]);
+};
+
+// Straighten a photographed sheet by mapping the table's corners onto a
+// rectangle. Sheets that are already square on are left alone.
+const correctPerspective = async (image) => {
+  const corners = await findPageCorners(image);
+  if (!corners) return { image, corrected: false };
 
-      // Calculate year GPAs
-      const yearGPAs = {};
-      let totalYearGPA = 0;
-      let yearCount = 0;
+  const [topLeft, topRight, bottomRight, bottomLeft] = corners;
+  const distance = ([x0, y0], [x1, y1]) => Math.hypot(x1 - x0, y1 - y0);
+  const width = Math.round(Math.max(distance(topLeft, topRight), distance(bottomLeft, bottomRight)));
+  const height = Math.round(Math.max(distance(topLeft, bottomLeft), distance(topRight, bottomRight)));
 
-      for (const [year, results] of Object.entries(resultsByYear)) {
-        const yearGPA = results.reduce((sum, r) => sum + r.semesterGPA, 0) / results.length;
-        yearGPAs[year] = parseFloat(yearGPA.toFixed(2));
-        totalYearGPA += yearGPA;
-        yearCount++;
+  const skewness = Math.max(
+    Math.abs(topLeft[0] - bottomLeft[0]), Math.abs(topRight[0] - bottomRight[0]),
+    Math.abs(topLeft[1] - topRight[1]), Math.abs(bottomLeft[1] - bottomRight[1])
+  );
+  if (width < 100 || height < 100 || skewness < image.width * 0.01) return { image, corrected: false };
+
+  // Map each output pixel back into the photo and sample it bilinearly
+  const target = [[0, 0], [width - 1, 0], [width - 1, height - 1], [0, height - 1]];
+  const h = solveHomography(target, corners);
+  if (!h) return { image, corrected: false };
+
+  const data = Buffer.alloc(width * height);
+  const source = image.data;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const w = h[6] * x + h[7] * y + h[8];
+      const sx = (h[0] * x + h[1] * y + h[2]) / w;
+      const sy = (h[3] * x + h[4] * y + h[5]) / w;
+      const x0 = Math.floor(sx);
+      const y0 = Math.floor(sy);
+
+      if (x0 < 0 || y0 < 0 || x0 >= image.width - 1 || y0 >= image.height - 1) {
+        data[y * width + x] = 255;
+        continue;
       }
 
-      // Calculate final GPA and class
-      const finalGPA = parseFloat((totalYearGPA / yearCount).toFixed(2));
-      let finalClass = 'Just Pass';
-      
-      if (finalGPA >= 3.7) finalClass = 'First Class';
-      else if (finalGPA >= 3.3) finalClass = 'Second Upper Class';
-      else if (finalGPA >= 3.0) finalClass = 'Second Lower Class';
+      const fx = sx - x0;
+      const fy = sy - y0;
+      const i = y0 * image.width + x0;
+      data[y * width + x] = Math.round(
+        source[i] * (1 - fx) * (1 - fy) + source[i + 1] * fx * (1 - fy)
+        + source[i + image.width] * (1 - fx) * fy + source[i + image.width + 1] * fx * fy
+      );
+    }
+  }
 
-      // Update all records for this student
-      await Result.updateMany(
-        { indexNo },
-        { 
-          yearGPA: yearGPAs,
-          finalGPA,
-          finalClass 
+  return { image: { data, width, height }, corrected: true };
+};
+
+// Bradley's adaptive threshold: ink is anything noticeably darker than the
+// mean of its neighbourhood, which copes with shadows and uneven lighting
+const adaptiveThreshold = ({ data, width, height }, windowFraction, offset) => {
+  const half = Math.max(7, Math.round((width * windowFraction) / 2));
+  const stride = width + 1;
+  const integral = new Float64Array(stride * (height + 1));
+
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x++) {
+      rowSum += data[y * width + x];
+      integral[(y + 1) * stride + x + 1] = integral[y * stride + x + 1] + rowSum;
+    }
+  }
+
+  const output = Buffer.alloc(data.length);
+  const factor = (100 - offset) / 100;
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - half);
+    const y1 = Math.min(height, y + half + 1);
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.max(0, x - half);
+      const x1 = Math.min(width, x + half + 1);
+      const sum = integral[y1 * stride + x1] - integral[y0 * stride + x1]
+        - integral[y1 * stride + x0] + integral[y0 * stride + x0];
+      const mean = sum / ((x1 - x0) * (y1 - y0));
+      output[y * width + x] = data[y * width + x] < mean * factor ? 0 : 255;
+    }
+  }
+
+  return { data: output, width, height };
+};
+
+// Blank out long horizontal and vertical ink runs; OCR reads ruled lines as
+// stray characters. Column gaps still separate the cells afterwards.
+const removeTableLines = ({ data, width, height }, minLineLength) => {
+  const output = Buffer.from(data);
+  const minRun = Math.round(Math.min(width, height) * minLineLength);
+
+  const clearRuns = (length, count, index) => {
+    for (let line = 0; line < count; line++) {
+      let start = -1;
+      for (let i = 0; i <= length; i++) {
+        if (i < length && data[index(line, i)] === 0) {
+          if (start < 0) start = i;
+        } else if (start >= 0) {
+          if (i - start >= minRun) {
+            for (let j = start; j < i; j++) output[index(line, j)] = 255;
+          }
+          start = -1;
         }
-      );
+      }
     }
+  };
 
-    res.status(200).json({ 
-      success: true,
-      message: 'Final GPA calculated for all students'
+  clearRuns(width, height, (y, x) => y * width + x);
+  clearRuns(height, width, (x, y) => y * width + x);
+
+  return { data: output, width, height };
+};
+
+// Positions of the ruled lines on a binarised page. Pixel rows (or columns)
+// holding an ink run of at least `minLineLength` of the shorter side are part
+// of a line; neighbouring ones are merged into a single rule at their centre.
+const detectTableGrid = ({ data, width, height }, minLineLength) => {
+  const minRun = Math.round(Math.min(width, height) * minLineLength);
+
+  const findRules = (length, count, index) => {
+    const rules = [];
+    let band = null;
+    for (let line = 0; line < count; line++) {
+      let run = 0;
+      let longest = 0;
+      for (let i = 0; i < length; i++) {
+        run = data[index(line, i)] === 0 ? run + 1 : 0;
+        if (run > longest) longest = run;
+      }
+
+      if (longest >= minRun) {
+        if (band && line - band.end <= 3) {
+          band.end = line;
+        } else {
+          band = { start: line, end: line };
+          rules.push(band);
+        }
+      }
+    }
+    return rules.map(({ start, end }) => Math.round((start + end) / 2));
+  };
+
+  const columns = findRules(height, width, (x, y) => y * width + x);
+  const rows = findRules(width, height, (y, x) => y * width + x);
+
+  // Three vertical rules make two columns; fewer is a box around the page
+  return {
+    columns: columns.length >= 3 ? columns : null,
+    rows: rows.length >= 3 ? rows : null
+  };
+};
+
+// Run the configured steps in order. `onStep(name, image, detail)` sees every
+// intermediate image; `aligned` is the straightened greyscale page, which is
+// what the reviewer is shown since OCR boxes are measured against it.
+const preprocessImage = async (input, settings, onStep = async () => {}) => {
+  let image = await readGrey(input);
+  await onStep('original', image);
+
+  if (settings.upscaleMinWidth && image.width < settings.upscaleMinWidth) {
+    const factor = settings.upscaleMinWidth / image.width;
+    image = await readGrey(await fromGrey(image)
+      .resize(settings.upscaleMinWidth, Math.round(image.height * factor), { kernel: 'lanczos3' })
+      .png()
+      .toBuffer());
+    await onStep('upscale', image, { factor: Math.round(factor * 100) / 100 });
+  }
+
+  image = await readGrey(await fromGrey(image).normalize().png().toBuffer());
+  await onStep('normalize', image);
+
+  if (settings.denoise >= 3) {
+    image = await readGrey(await fromGrey(image).median(Math.round(settings.denoise)).png().toBuffer());
+    await onStep('denoise', image);
+  }
+
+  if (settings.perspective) {
+    const result = await correctPerspective(image);
+    image = result.image;
+    await onStep('perspective', image, { corrected: result.corrected });
+  }
+
+  if (settings.deskew) {
+    const result = await deskewImage(image, settings.maxSkewAngle);
+    image = result.image;
+    await onStep('deskew', image, { angle: result.angle });
+  }
+
+  const aligned = image;
+
+  if (settings.threshold === 'adaptive') {
+    image = adaptiveThreshold(image, settings.thresholdWindow, settings.thresholdOffset);
+    await onStep('threshold', image, { method: 'adaptive' });
+  } else if (settings.threshold === 'global') {
+    image = await readGrey(await fromGrey(image).threshold(settings.globalThreshold).png().toBuffer());
+    await onStep('threshold', image, { method: 'global' });
+  }
+
+  if (settings.removeLines && settings.threshold !== 'none') {
+    image = removeTableLines(image, settings.minLineLength);
+    await onStep('removeLines', image);
+  }
+
+  return { image, aligned };
+};
+
+// Image Preprocessing and OCR Processing. `report(stage, fraction)` is told
+// when preprocessing starts and how far recognition has got. Besides the text,
+// the straightened page comes back as `aligned` (PNG), since the OCR boxes are
+// measured against it rather than the original scan, and the words arranged
+// into a `table` of cells (null when no table structure was found).
+const processResultSheet = async (imagePath, template, report = () => {}) => {
+  const jobId = `ocr-${crypto.randomUUID()}`;
+  const { region } = template;
+
+  try {
+    // Preprocess image with the template's settings
+    report('preprocessing', 0);
+    const settings = preprocessingSettings(template.preprocessing);
+    const steps = ['upscale', 'normalize', 'denoise', 'perspective', 'deskew', 'threshold', 'removeLines'];
+    let binary = null;
+    const preprocessed = await preprocessImage(fs.readFileSync(imagePath), settings, async (step, image) => {
+      if (step === 'threshold') binary = image;
+      if (steps.includes(step)) report('preprocessing', (steps.indexOf(step) + 1) / steps.length);
+    });
+    const processedImage = await toPng(preprocessed.image);
+
+    // Ruled lines are found before line removal wipes them from the OCR image
+    const grid = detectTableGrid(
+      binary || adaptiveThreshold(preprocessed.aligned, settings.thresholdWindow, settings.thresholdOffset),
+      settings.minLineLength
+    );
+
+    // OCR Processing on the next free worker
+    const scheduler = await getOcrScheduler();
+
+    // Limit recognition to the template's region; boxes stay in page coordinates
+    const options = {};
+    if (region?.width && region?.height) {
+      const { width, height } = await sharp(processedImage).metadata();
+      options.rectangle = {
+        left: Math.round(region.x * width),
+        top: Math.round(region.y * height),
+        width: Math.round(region.width * width),
+        height: Math.round(region.height * height)
+      };
+    }
+
+    // The trailing id replaces the scheduler's own, so logger messages can be
+    // traced back to this sheet
+    report('ocr', 0);
+    ocrProgressListeners.set(jobId, message => {
+      if (message.status === 'recognizing text') report('ocr', message.progress);
     });
+    const { data } = await scheduler.addJob('recognize', processedImage, options, {
+      text: true,
+      blocks: true
+    }, jobId);
 
+    // Fall back to plain text lines when no layout data is returned
+    const lines = data.blocks
+      ? flattenOcrLines(data.blocks)
+      : data.text.split('\n').map(text => ({ text, confidence: null, bbox: null, words: [] }));
+
+    return {
+      text: data.text,
+      lines,
+      table: buildTable(lines, grid),
+      aligned: await toPng(preprocessed.aligned)
+    };
   } catch (error) {
-    console.error('GPA calculation error:', error);
-    res.status(500).json({ 
-      success: false,
-      error: 'GPA calculation failed',
+    console.error('Image processing error:', error);
+    throw error;
+  } finally {
+    ocrProgressListeners.delete(jobId);
+  }
+};
+
+// PDF pages are rendered at this multiple of 72 DPI before OCR
+const PDF_RENDER_SCALE = parseFloat(process.env.PDF_RENDER_SCALE) || 3;
+
+// Render each PDF page to a PNG beside the upload; the pages stay for review
+const rasterisePdf = async (pdfPath) => {
+  const rendered = await pdfToPng(pdfPath, { viewportScale: PDF_RENDER_SCALE });
+  const base = pdfPath.replace(/\.pdf$/i, '');
+
+  return rendered.map(({ pageNumber, content }) => {
+    const imagePath = `${base}-p${pageNumber}.png`;
+    fs.writeFileSync(imagePath, content);
+    return { page: pageNumber, imagePath };
+  });
+};
+
+const unionBbox = (boxes) => ({
+  x0: Math.min(...boxes.map(box => box.x0)),
+  y0: Math.min(...boxes.map(box => box.y0)),
+  x1: Math.max(...boxes.map(box => box.x1)),
+  y1: Math.max(...boxes.map(box => box.y1))
+});
+
+const toCell = (text, confidence, bbox) => ({
+  text,
+  confidence,
+  bbox,
+  lowConfidence: confidence != null && confidence < LOW_CONFIDENCE_THRESHOLD
+});
+
+const isRuleWord = (word) => !word.text.replace(/\|/g, '').trim();
+
+// Group a line's words into cells wherever the horizontal gap is wider than
+// about two characters or a ruled '|' separates them. Lines without word
+// boxes are split on the template's separator instead.
+const lineToCells = (line, separator) => {
+  const words = line.words.filter(word => !isRuleWord(word));
+
+  // Empty cells between separators are kept so later columns do not shift
+  if (!words.length) {
+    const cols = line.text.split(separator).map(col => col.replace(/\|/g, '').trim());
+    while (cols.length && cols[0] === '') cols.shift();
+    while (cols.length && cols[cols.length - 1] === '') cols.pop();
+    return cols.map(col => toCell(col, line.confidence, null));
+  }
+
+  const charWidth = words.reduce((sum, word) => (
+    sum + (word.bbox.x1 - word.bbox.x0) / Math.max(word.text.length, 1)
+  ), 0) / words.length;
+
+  const groups = [];
+  let ruled = true;
+  let previous = null;
+  for (const word of line.words) {
+    if (isRuleWord(word)) {
+      ruled = true;
+      continue;
+    }
+
+    if (ruled || word.bbox.x0 - previous.bbox.x1 > charWidth * 1.5) {
+      groups.push([word]);
+    } else {
+      groups[groups.length - 1].push(word);
+    }
+    ruled = false;
+    previous = word;
+  }
+
+  return groups.map(group => toCell(
+    group.map(word => word.text.replace(/\|/g, '')).join(' ').trim(),
+    Math.min(...group.map(word => word.confidence)),
+    unionBbox(group.map(word => word.bbox))
+  ));
+};
+
+// Column boundaries from the gaps that line up down the page: x positions that
+// hardly any line has a word over. Used when the sheet has no vertical rules.
+const alignedColumnBoundaries = (lines) => {
+  const words = lines.flatMap(line => line.words);
+  if (!words.length) return null;
+
+  const left = Math.min(...words.map(word => word.bbox.x0));
+  const right = Math.max(...words.map(word => word.bbox.x1));
+  const coverage = new Uint16Array(right - left + 1);
+  const seenBy = new Int32Array(right - left + 1).fill(-1);
+
+  lines.forEach((line, lineIndex) => {
+    line.words.forEach(word => {
+      for (let x = word.bbox.x0; x <= word.bbox.x1; x++) {
+        if (seenBy[x - left] !== lineIndex) {
+          seenBy[x - left] = lineIndex;
+          coverage[x - left]++;
+        }
+      }
+    });
+  });
+
+  // Titles or notes may run across a gap, so a few covering lines are allowed
+  const allowed = Math.floor(lines.length * 0.1);
+  const charWidth = words.reduce((sum, word) => (
+    sum + (word.bbox.x1 - word.bbox.x0) / Math.max(word.text.length, 1)
+  ), 0) / words.length;
+
+  const boundaries = [left];
+  let gapStart = -1;
+  for (let x = 0; x < coverage.length; x++) {
+    if (coverage[x] <= allowed) {
+      if (gapStart < 0) gapStart = x;
+    } else if (gapStart >= 0) {
+      if (x - gapStart > charWidth * 1.5) boundaries.push(left + Math.round((gapStart + x) / 2));
+      gapStart = -1;
+    }
+  }
+  boundaries.push(right + 1);
+
+  return boundaries.length >= 4 ? boundaries : null;
+};
+
+// Lines that overlap vertically by more than half the shorter one are the
+// same table row, split by Tesseract around a wide gap
+const groupRowLines = (lines) => {
+  const rows = [];
+  [...lines]
+    .sort((a, b) => a.bbox.y0 - b.bbox.y0)
+    .forEach(line => {
+      const row = rows[rows.length - 1];
+      const overlap = row && Math.min(row.bbox.y1, line.bbox.y1) - Math.max(row.bbox.y0, line.bbox.y0);
+      const shorter = row && Math.min(row.bbox.y1 - row.bbox.y0, line.bbox.y1 - line.bbox.y0);
+
+      if (row && overlap > shorter / 2) {
+        row.lines.push(line);
+        row.bbox = unionBbox([row.bbox, line.bbox]);
+      } else {
+        rows.push({ lines: [line], bbox: line.bbox });
+      }
+    });
+  return rows;
+};
+
+// Build the row × column matrix of the sheet from the OCR words. Columns come
+// from the ruled grid, or from aligned word gaps when there are no vertical
+// rules; rows are the bands between horizontal rules (lines in one band that
+// do not overlap are kept apart) or the OCR lines themselves. Each word goes
+// to the cell holding its centre. Returns null when no columns can be found,
+// leaving the parser to split lines on whitespace.
+const buildTable = (ocrLines, grid) => {
+  const centre = ({ x0, y0, x1, y1 }) => ({ x: (x0 + x1) / 2, y: (y0 + y1) / 2 });
+  const rules = grid?.rows;
+
+  // Words above the first or below the last rule lie outside the table
+  let lines = ocrLines
+    .filter(line => line.bbox)
+    .map(line => ({
+      ...line,
+      words: line.words.filter(word => !isRuleWord(word) && (!rules || (
+        centre(word.bbox).y > rules[0] && centre(word.bbox).y < rules[rules.length - 1]
+      )))
+    }))
+    .filter(line => line.words.length);
+
+  const columns = grid?.columns || alignedColumnBoundaries(lines);
+  if (!columns || !lines.length) return null;
+
+  // A line running through several bands is split at the rules
+  if (rules) {
+    lines = lines.flatMap(line => {
+      const bands = new Map();
+      line.words.forEach(word => {
+        const band = rules.findIndex(rule => centre(word.bbox).y < rule);
+        bands.set(band, [...(bands.get(band) || []), word]);
+      });
+      return [...bands.entries()].map(([band, words]) => ({
+        ...line,
+        band,
+        words,
+        bbox: unionBbox(words.map(word => word.bbox))
+      }));
+    });
+  }
+
+  const bandGroups = rules
+    ? [...new Set(lines.map(line => line.band))].sort((a, b) => a - b).map(band => lines.filter(line => line.band === band))
+    : [lines];
+
+  const rows = bandGroups.flatMap(groupRowLines).map(row => {
+    const words = row.lines.flatMap(line => line.words);
+    const slots = columns.slice(1).map(() => []);
+    words.forEach(word => {
+      const { x } = centre(word.bbox);
+      const index = columns.findIndex(boundary => x < boundary) - 1;
+      if (index >= 0) slots[index].push(word);
+    });
+
+    const cells = slots.map(slot => (slot.length
+      ? toCell(
+          slot.sort((a, b) => a.bbox.x0 - b.bbox.x0).map(word => word.text.replace(/\|/g, '')).join(' ').trim(),
+          Math.min(...slot.map(word => word.confidence)),
+          unionBbox(slot.map(word => word.bbox))
+        )
+      : null));
+
+    return {
+      text: cells.map(cell => cell?.text || '').join(' | '),
+      confidence: words.reduce((sum, word) => sum + word.confidence, 0) / words.length,
+      bbox: unionBbox(words.map(word => word.bbox)),
+      cells
+    };
+  });
+
+  return { source: grid?.columns ? 'ruled' : 'aligned', columns, rows };
+};
+
+// Minimal CSV reader (quoted fields, escaped quotes) returning the non-empty rows
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+};
+
+// CSV records as objects keyed by the header row
+const parseCsv = (text) => {
+  const [header = [], ...records] = parseCsvRows(text);
+  const keys = header.map(key => key.trim());
+
+  return records.map(cells => Object.fromEntries(
+    keys.map((key, index) => [key, (cells[index] ?? '').trim()])
+  ));
+};
+
+// CSV text from rows of values, quoting fields that need it
+const toCsv = (rows) => rows
+  .map(row => row.map(value => {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(','))
+  .join('\r\n');
+
+const normalizeCourseCode = (code) => String(code || '').replace(/\s+/g, '').toUpperCase();
+
+const loadCourseCatalogue = async () => {
+  const courses = await Course.find().lean();
+  return new Map(courses.map(course => [course.code, course]));
+};
+
+// Take credits and the GPA flag from the catalogue, which is authoritative
+const applyCatalogue = (courses, catalogue) => courses.map(course => {
+  const entry = catalogue.get(course.code);
+  return entry
+    ? { ...course, creditHours: entry.credits, countsTowardsGPA: entry.countsTowardsGPA }
+    : course;
+});
+
+const parseBoolean = (value, fallback) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  if (typeof value === 'boolean') return value;
+  return !/^(false|no|n|0)$/i.test(String(value).trim());
+};
+
+const validateCourse = ({ code, title, credits }) => {
+  const errors = [];
+
+  if (!normalizeCourseCode(code)) errors.push('Course code is required');
+  if (!String(title || '').trim()) errors.push('Title is required');
+  if (!Number.isFinite(Number(credits)) || Number(credits) <= 0) {
+    errors.push('Credits must be a positive number');
+  }
+
+  return errors;
+};
+
+const normalizeCourse = ({ code, title, credits, year, semester, programme, countsTowardsGPA }) => ({
+  code: normalizeCourseCode(code),
+  title: String(title).trim(),
+  credits: Number(credits),
+  year: isBlank(year) ? undefined : Number(year),
+  semester: isBlank(semester) ? undefined : Number(semester),
+  programme: isBlank(programme) ? undefined : String(programme).trim().toUpperCase(),
+  countsTowardsGPA: parseBoolean(countsTowardsGPA, true)
+});
+
+// Programme code is the middle segment of an index number such as 20/COM/386
+const programmeFromIndexNo = (indexNo) => String(indexNo || '').split('/')[1]?.toUpperCase();
+
+// Intake year is the leading two-digit segment, e.g. 20/COM/386 -> 2020
+const intakeYearFromIndexNo = (indexNo) => {
+  const match = /^(\d{2})\//.exec(String(indexNo || '').trim());
+  return match ? 2000 + Number(match[1]) : undefined;
+};
+
+// Batch/programme filters accepted by listing, calculation and reporting endpoints
+const validateScope = ({ batch, programme }) => {
+  const errors = [];
+
+  if (!isBlank(batch) && !Number.isInteger(Number(batch))) {
+    errors.push(`Batch must be an intake year, got '${batch}'`);
+  }
+  if (!isBlank(programme) && !/^[A-Za-z0-9]+$/.test(String(programme).trim())) {
+    errors.push(`Invalid programme code '${programme}'`);
+  }
+
+  return errors;
+};
+
+const normalizeScope = ({ batch, programme }) => ({
+  batch: isBlank(batch) ? undefined : Number(batch),
+  programme: isBlank(programme) ? undefined : String(programme).trim().toUpperCase()
+});
+
+// Mongo filter for a scope; `batchField` differs on students (intakeYear)
+const scopeFilter = (scope, batchField = 'batch') => {
+  const { batch, programme } = normalizeScope(scope);
+  const filter = {};
+
+  if (batch !== undefined) filter[batchField] = batch;
+  if (programme) filter.programme = programme;
+
+  return filter;
+};
+
+const describeScope = (scope) => {
+  const { batch, programme } = normalizeScope(scope);
+  return [batch, programme].filter(Boolean).join(' ') || 'all batches';
+};
+
+const validateProgramme = ({ code, name, yearWeights, repeatPolicy, gradingScheme }) => {
+  const errors = [];
+
+  if (!String(code || '').trim()) errors.push('Programme code is required');
+  if (!String(name || '').trim()) errors.push('Programme name is required');
+  if (yearWeights != null && !Array.isArray(yearWeights)) {
+    errors.push('Year weights must be a list');
+  } else if ((yearWeights || []).some(weight => !Number.isFinite(Number(weight)) || Number(weight) < 0)) {
+    errors.push('Year weights must be non-negative numbers');
+  }
+  if (repeatPolicy && !['best', 'latest', 'capped'].includes(repeatPolicy)) {
+    errors.push(`Unknown repeat policy '${repeatPolicy}'`);
+  }
+  if (!isBlank(gradingScheme) && !mongoose.Types.ObjectId.isValid(gradingScheme)) {
+    errors.push(`Invalid grading scheme '${gradingScheme}'`);
+  }
+
+  return errors;
+};
+
+const normalizeProgramme = ({ code, name, yearWeights, repeatPolicy, repeatCapGrade, gradingScheme }) => ({
+  code: String(code).trim().toUpperCase(),
+  name: String(name).trim(),
+  yearWeights: (yearWeights || []).map(Number),
+  repeatPolicy: ['best', 'latest', 'capped'].includes(repeatPolicy) ? repeatPolicy : 'best',
+  repeatCapGrade: String(repeatCapGrade || 'C').trim().toUpperCase(),
+  gradingScheme: isBlank(gradingScheme) ? null : gradingScheme
+});
+
+// Order attempts of one course: attempt number first, then sitting, then
+// upload order
+const byAttempt = (a, b) => (
+  (a.attempt || 1) - (b.attempt || 1) || compareSittings(a, b) || a.order - b.order
+);
+
+// Mark which attempt of each course counts under the programme's repeat policy.
+// Superseded attempts stay in the record but no longer count towards the GPA;
+// under 'capped' every re-sit is limited to the cap grade's points.
+const applyRepeatPolicy = (results, programme, schemeFor) => {
+  const policy = programme?.repeatPolicy || 'best';
+  const capGrade = programme?.repeatCapGrade || 'C';
+  const attempts = {};
+
+  const annotated = results.map((result, resultIndex) => ({
+    ...result,
+    courses: result.courses.map((course, courseIndex) => {
+      const entry = {
+        ...course,
+        order: resultIndex * 100 + courseIndex,
+        year: result.year,
+        semester: result.semester,
+        examSession: result.examSession
+      };
+      (attempts[course.code] = attempts[course.code] || []).push(entry);
+      return entry;
+    })
+  }));
+
+  Object.values(attempts).forEach(list => {
+    list.sort(byAttempt).forEach((entry, index) => {
+      entry.attempt = index + 1;
+    });
+
+    if (policy === 'capped') {
+      list.slice(1).forEach(entry => {
+        const result = annotated.find(r => r.courses.includes(entry));
+        const cap = resolveGrade(schemeFor(result), capGrade);
+        if (cap && entry.gradePoints > cap.entry.points) {
+          entry.cappedFrom = entry.grade;
+          entry.grade = cap.grade;
+          entry.gradePoints = cap.entry.points;
+          entry.qualityPoints = cap.entry.points * entry.creditHours;
+        }
+      });
+    }
+
+    const counting = policy === 'latest'
+      ? list[list.length - 1]
+      : list.reduce((best, entry) => (entry.gradePoints > best.gradePoints ? entry : best));
+
+    list.forEach(entry => {
+      entry.counted = entry === counting;
+      if (!entry.counted) entry.countsTowardsGPA = false;
+    });
+  });
+
+  return annotated;
+};
+
+const sumCredits = (courses) => courses.reduce((totals, course) => {
+  if (course.countsTowardsGPA === false) return totals;
+  return {
+    creditHours: totals.creditHours + course.creditHours,
+    qualityPoints: totals.qualityPoints + course.qualityPoints
+  };
+}, { creditHours: 0, qualityPoints: 0 });
+
+// Year and final GPA from quality points and credit hours of every course.
+// When the programme weights its years, the final GPA is the weighted mean of
+// year GPAs; otherwise it is total quality points over total credit hours.
+const computeStanding = (results, programme) => {
+  const byYear = {};
+
+  results.forEach(result => {
+    const totals = sumCredits(result.courses);
+    const year = byYear[result.year] || { year: result.year, creditHours: 0, qualityPoints: 0 };
+    year.creditHours += totals.creditHours;
+    year.qualityPoints += totals.qualityPoints;
+    byYear[result.year] = year;
+  });
+
+  const weights = programme?.yearWeights || [];
+  const years = Object.values(byYear)
+    .sort((a, b) => a.year - b.year)
+    .map(year => ({
+      ...year,
+      gpa: year.creditHours ? year.qualityPoints / year.creditHours : 0,
+      weight: weights.length ? weights[year.year - 1] ?? 0 : null
+    }));
+
+  const creditHours = years.reduce((sum, year) => sum + year.creditHours, 0);
+  const qualityPoints = years.reduce((sum, year) => sum + year.qualityPoints, 0);
+  const totalWeight = years.reduce((sum, year) => sum + (year.weight || 0), 0);
+  const yearWeighted = weights.length > 0 && totalWeight > 0;
+
+  const finalGPA = yearWeighted
+    ? years.reduce((sum, year) => sum + year.gpa * (year.weight || 0), 0) / totalWeight
+    : (creditHours ? qualityPoints / creditHours : 0);
+
+  return {
+    method: yearWeighted ? 'year-weighted' : 'credit-weighted',
+    years: years.map(year => ({ ...year, gpa: roundGPA(year.gpa) })),
+    creditHours,
+    qualityPoints,
+    finalGPA: roundGPA(finalGPA)
+  };
+};
+
+const ensureDefaultClassRuleSet = async () => {
+  if (await ClassRuleSet.exists({})) return;
+
+  await ClassRuleSet.create({
+    name: 'Default',
+    isDefault: true,
+    classes: [
+      { name: 'First Class', minGPA: 3.7 },
+      { name: 'Second Upper Class', minGPA: 3.3 },
+      { name: 'Second Lower Class', minGPA: 3.0 },
+      { name: 'Just Pass', minGPA: 0 }
+    ],
+    requireAllPassed: true,
+    failClass: 'Fail/Incomplete'
+  });
+  console.log('Seeded default class rule set');
+};
+
+const validateClassRuleSet = ({ name, classes, minTotalCredits }) => {
+  const errors = [];
+
+  if (!String(name || '').trim()) {
+    errors.push('Name is required');
+  }
+
+  if (!Array.isArray(classes) || classes.length === 0) {
+    errors.push('At least one class is required');
+    return errors;
+  }
+
+  classes.forEach((entry, index) => {
+    const label = String(entry.name || '').trim() || `Class ${index + 1}`;
+
+    if (!String(entry.name || '').trim()) errors.push(`${label} has no name`);
+    if (!Number.isFinite(Number(entry.minGPA))) errors.push(`${label} needs a minimum GPA`);
+    if (index > 0 && Number(entry.minGPA) > Number(classes[index - 1].minGPA)) {
+      errors.push(`${label} has a higher GPA boundary than the class above it`);
+    }
+    ['minGradePoints', 'minCredits'].forEach(key => {
+      if (!isBlank(entry[key]) && (!Number.isFinite(Number(entry[key])) || Number(entry[key]) < 0)) {
+        errors.push(`${label} has an invalid ${key}`);
+      }
+    });
+  });
+
+  if (!isBlank(minTotalCredits) && (!Number.isFinite(Number(minTotalCredits)) || Number(minTotalCredits) < 0)) {
+    errors.push('Minimum total credits must be a non-negative number');
+  }
+
+  return errors;
+};
+
+const normalizeClassRuleSet = ({ name, programme, isDefault, classes, requireAllPassed, minTotalCredits, failClass }) => ({
+  name: String(name).trim(),
+  programme: isBlank(programme) ? undefined : String(programme).trim().toUpperCase(),
+  isDefault: Boolean(isDefault),
+  classes: classes.map(entry => ({
+    name: String(entry.name).trim(),
+    minGPA: Number(entry.minGPA),
+    minGradePoints: isBlank(entry.minGradePoints) ? undefined : Number(entry.minGradePoints),
+    noRepeats: Boolean(entry.noRepeats),
+    minCredits: isBlank(entry.minCredits) ? undefined : Number(entry.minCredits)
+  })),
+  requireAllPassed: requireAllPassed !== false,
+  minTotalCredits: isBlank(minTotalCredits) ? undefined : Number(minTotalCredits),
+  failClass: String(failClass || '').trim() || 'Fail/Incomplete'
+});
+
+// Decide a student's class from scored results and explain the decision.
+// The reason lists why each higher class was missed, then what was met.
+const awardClass = (results, finalGPA, ruleSet) => {
+  const allAttempts = results.flatMap(result => result.courses);
+  const courses = allAttempts.filter(course => course.counted !== false);
+  const failed = courses.filter(course => !course.passed);
+  const creditsCompleted = courses
+    .filter(course => course.passed)
+    .reduce((sum, course) => sum + course.creditHours, 0);
+  const attempts = allAttempts.reduce((counts, course) => {
+    counts[course.code] = (counts[course.code] || 0) + 1;
+    return counts;
+  }, {});
+  const repeated = Object.keys(attempts).filter(code => attempts[code] > 1);
+  const weakest = courses.reduce((lowest, course) => (
+    !lowest || course.gradePoints < lowest.gradePoints ? course : lowest
+  ), null);
+
+  const outcomeFailures = [];
+  if (ruleSet.requireAllPassed && failed.length) {
+    outcomeFailures.push(`failed ${failed.map(course => course.code).join(', ')}`);
+  }
+  if (ruleSet.minTotalCredits != null && creditsCompleted < ruleSet.minTotalCredits) {
+    outcomeFailures.push(`${creditsCompleted} of ${ruleSet.minTotalCredits} required credits completed`);
+  }
+  if (outcomeFailures.length) {
+    return { finalClass: ruleSet.failClass, reason: outcomeFailures.join('; ') };
+  }
+
+  const missed = [];
+  for (const entry of ruleSet.classes) {
+    const shortfalls = [];
+
+    if (finalGPA < entry.minGPA) {
+      shortfalls.push(`GPA ${finalGPA} below ${entry.minGPA}`);
+    }
+    if (entry.minGradePoints != null && weakest && weakest.gradePoints < entry.minGradePoints) {
+      shortfalls.push(`${weakest.code} graded ${weakest.grade} below ${entry.minGradePoints} points`);
+    }
+    if (entry.noRepeats && repeated.length) {
+      shortfalls.push(`repeated ${repeated.join(', ')}`);
+    }
+    if (entry.minCredits != null && creditsCompleted < entry.minCredits) {
+      shortfalls.push(`${creditsCompleted} credits below ${entry.minCredits}`);
+    }
+
+    if (!shortfalls.length) {
+      const met = [`GPA ${finalGPA} ≥ ${entry.minGPA}`];
+      if (entry.minGradePoints != null) met.push(`all courses ≥ ${entry.minGradePoints} points`);
+      if (entry.noRepeats) met.push('no repeats');
+      if (entry.minCredits != null) met.push(`${creditsCompleted} credits ≥ ${entry.minCredits}`);
+
+      return {
+        finalClass: entry.name,
+        reason: [...missed, met.join(', ')].join('; ')
+      };
+    }
+
+    missed.push(`not ${entry.name}: ${shortfalls.join(', ')}`);
+  }
+
+  return { finalClass: ruleSet.failClass, reason: missed.join('; ') };
+};
+
+// Look up grade points in the scheme and compute quality points / semester GPA
+const scoreCourses = (courses, name, scheme) => {
+  let totalQualityPoints = 0;
+  let totalCreditHours = 0;
+
+  const scored = courses.map(course => {
+    const resolved = resolveGrade(scheme, course.grade);
+
+    if (!resolved) {
+      throw new Error(`Invalid grade '${String(course.grade || '').trim()}' for ${name} (${scheme.name} scheme)`);
+    }
+
+    const qualityPoints = resolved.entry.points * course.creditHours;
+
+    // Non-GPA courses are graded and recorded but do not affect the GPA
+    if (course.countsTowardsGPA !== false) {
+      totalQualityPoints += qualityPoints;
+      totalCreditHours += course.creditHours;
+    }
+
+    return {
+      ...course,
+      grade: resolved.grade,
+      marks: resolved.marks ?? course.marks,
+      gradePoints: resolved.entry.points,
+      passed: resolved.entry.pass !== false,
+      qualityPoints
+    };
+  });
+
+  return {
+    courses: scored,
+    semesterGPA: totalCreditHours ? totalQualityPoints / totalCreditHours : 0
+  };
+};
+
+// Score a row without failing the sheet: grades the scheme does not know are
+// returned as issues and the row is left unscored until they are corrected
+const scoreRow = (courses, name, scheme) => {
+  const issues = courses
+    .filter(course => !resolveGrade(scheme, course.grade))
+    .map(course => ({
+      type: 'invalidGrade',
+      field: course.code,
+      message: `Invalid grade '${String(course.grade || '').trim()}' for ${course.code} (${scheme.name} scheme)`
+    }));
+
+  if (issues.length) {
+    return { courses, semesterGPA: undefined, issues };
+  }
+
+  return { ...scoreCourses(courses, name, scheme), issues };
+};
+
+// Sheets carry between 3 and 12 course columns after index number and name
+const MIN_COURSE_COLUMNS = 3;
+const MAX_COURSE_COLUMNS = 12;
+
+// Summary columns some sheets print after the courses; they are not graded
+const TRAILING_COLUMN_PATTERN = /^(TOTAL|GPA|SGPA|CGPA|AVG|AVERAGE|REMARKS?|RESULT)$/i;
+
+const DEFAULT_SEPARATOR = '\\s*\\|\\s*|\\s{2,}';
+
+// Layout used when no template is chosen: index number, name, then courses
+const DEFAULT_SHEET_TEMPLATE = {
+  name: 'Default',
+  columns: [
+    { role: 'indexNo', aliases: [] },
+    { role: 'name', aliases: [] },
+    { role: 'course', aliases: [] }
+  ],
+  indexNoPattern: '',
+  separator: DEFAULT_SEPARATOR
+};
+
+const normalizeHeader = (text) => String(text || '').replace(/[^A-Z0-9]/gi, '').toUpperCase();
+
+const validateSheetTemplate = ({ name, columns, indexNoPattern, separator, region, preprocessing }) => {
+  const errors = [];
+
+  if (!String(name || '').trim()) {
+    errors.push('Name is required');
+  }
+
+  if (!Array.isArray(columns) || columns.length === 0) {
+    errors.push('At least one column is required');
+  } else {
+    ['indexNo', 'name', 'course'].forEach(role => {
+      const count = columns.filter(column => column.role === role).length;
+      if (count !== 1) errors.push(`Exactly one '${role}' column is required, found ${count}`);
+    });
+    columns.forEach((column, index) => {
+      if (!['indexNo', 'name', 'course', 'ignore'].includes(column.role)) {
+        errors.push(`Column ${index + 1} has an unknown role '${column.role}'`);
+      }
+    });
+  }
+
+  [['Index number pattern', indexNoPattern], ['Separator', separator]].forEach(([label, source]) => {
+    if (isBlank(source)) return;
+    try {
+      new RegExp(source);
+    } catch (error) {
+      errors.push(`${label} is not a valid regular expression: ${error.message}`);
+    }
+  });
+
+  if (region) {
+    const { x = 0, y = 0, width = 1, height = 1 } = region;
+    const values = [x, y, width, height].map(Number);
+    if (values.some(value => !Number.isFinite(value) || value < 0 || value > 1)
+      || Number(width) === 0 || Number(height) === 0
+      || Number(x) + Number(width) > 1 || Number(y) + Number(height) > 1) {
+      errors.push('Region must lie within the page (fractions between 0 and 1)');
+    }
+  }
+
+  errors.push(...validatePreprocessing(preprocessing));
+
+  return errors;
+};
+
+const normalizeSheetTemplate = ({
+  name, description, columns, headerCodes, layoutSignature, indexNoPattern, separator, region, preprocessing
+}) => ({
+  name: String(name).trim(),
+  description,
+  columns: columns.map(column => ({
+    role: column.role,
+    aliases: (Array.isArray(column.aliases) ? column.aliases : String(column.aliases || '').split(','))
+      .map(alias => alias.trim())
+      .filter(Boolean)
+  })),
+  headerCodes: (headerCodes || [])
+    .map(({ header, code }) => ({ header: String(header || '').trim(), code: normalizeCourseCode(code) }))
+    .filter(({ header, code }) => header && code),
+  layoutSignature: isBlank(layoutSignature) ? undefined : layoutSignature,
+  indexNoPattern: isBlank(indexNoPattern) ? undefined : indexNoPattern,
+  separator: isBlank(separator) ? undefined : separator,
+  region: region
+    ? {
+        x: Number(region.x ?? 0),
+        y: Number(region.y ?? 0),
+        width: Number(region.width ?? 1),
+        height: Number(region.height ?? 1)
+      }
+    : undefined,
+  preprocessing: normalizePreprocessing(preprocessing)
+});
+
+// Use the requested template, or the built-in layout when none is given
+const loadSheetTemplate = async (id) => {
+  if (!id) return DEFAULT_SHEET_TEMPLATE;
+
+  const template = await SheetTemplate.findById(id).lean();
+  if (!template) {
+    throw new Error('Sheet template not found');
+  }
+
+  return template;
+};
+
+// Precompile a template's patterns and alias lookup for the parser
+const compileSheetTemplate = (template) => ({
+  ...template,
+  separatorRegex: new RegExp(template.separator || DEFAULT_SEPARATOR),
+  indexNoRegex: template.indexNoPattern ? new RegExp(template.indexNoPattern, 'i') : null,
+  aliasRoles: new Map(template.columns.flatMap(column => (
+    (column.aliases || []).map(alias => [normalizeHeader(alias), column.role])
+  ))),
+  aliasCodes: new Map((template.headerCodes || []).map(({ header, code }) => [normalizeHeader(header), code])),
+  leadingRoles: template.columns
+    .slice(0, template.columns.findIndex(column => column.role === 'course'))
+    .map(column => column.role)
+});
+
+// A cell holding only dashes (or nothing) means the course was not taken
+const isBlankCell = (text) => /^[-–—_]*$/.test(String(text || '').trim());
+
+const mergeCells = (cells) => {
+  const confidences = cells.map(cell => cell.confidence).filter(value => value != null);
+  const boxes = cells.map(cell => cell.bbox).filter(Boolean);
+
+  return toCell(
+    cells.map(cell => cell.text).join(' '),
+    confidences.length ? Math.min(...confidences) : null,
+    boxes.length ? unionBbox(boxes) : null
+  );
+};
+
+// Work out what each header column holds: index number, name, a course or a
+// summary. Header aliases from the template win; otherwise the columns before
+// the courses are taken in the order the template lists them.
+const deriveColumnLayout = (headerCells, catalogue, template) => {
+  if (headerCells.length < 2 + MIN_COURSE_COLUMNS) {
+    throw new Error('Could not read the index number, name and course columns from the header row');
+  }
+
+  const columns = headerCells.map(cell => {
+    const role = template.aliasRoles.get(normalizeHeader(cell.text));
+    if (role && role !== 'course') return { role, cell };
+    if (!cell.text.trim() || TRAILING_COLUMN_PATTERN.test(cell.text.replace(/\s+/g, ''))) return { role: 'ignore', cell };
+    const code = template.aliasCodes.get(normalizeHeader(cell.text)) || normalizeCourseCode(cell.text);
+    return { role: 'course', code, cell };
+  });
+
+  template.leadingRoles.forEach((role, index) => {
+    if (!columns.some(column => column.role === role) && columns[index]) {
+      columns[index] = { role, cell: columns[index].cell };
+    }
+  });
+
+  ['indexNo', 'name'].forEach(role => {
+    if (!columns.some(column => column.role === role)) {
+      throw new Error(`Could not find the ${role === 'indexNo' ? 'index number' : 'name'} column in the header row`);
+    }
+  });
+
+  const courseColumns = columns.filter(column => column.role === 'course');
+  if (courseColumns.length < MIN_COURSE_COLUMNS || courseColumns.length > MAX_COURSE_COLUMNS) {
+    throw new Error(`Expected ${MIN_COURSE_COLUMNS} to ${MAX_COURSE_COLUMNS} course columns in the header row, found ${courseColumns.length}`);
+  }
+
+  const unknownCodes = courseColumns.map(column => column.code).filter(code => !catalogue.has(code));
+  if (unknownCodes.length) {
+    throw new Error(`Unknown course codes: ${unknownCodes.join(', ')}. Add them to the course catalogue first`);
+  }
+
+  return columns;
+};
+
+// Place a row's cells under the header columns. With bounding boxes each cell
+// goes to the column whose span contains its centre, so blank cells leave a gap
+// instead of shifting everything left; without them cells are taken in order.
+const hasCellGeometry = (cells, columns) => (
+  cells.every(cell => cell.bbox) && columns.every(column => column.cell.bbox)
+);
+
+const assignCellsToColumns = (cells, columns) => {
+  const slots = columns.map(() => []);
+
+  if (!hasCellGeometry(cells, columns)) {
+    cells.slice(0, columns.length).forEach((cell, index) => slots[index].push(cell));
+  } else {
+    const centres = columns.map(column => (column.cell.bbox.x0 + column.cell.bbox.x1) / 2);
+
+    cells.forEach(cell => {
+      const centre = (cell.bbox.x0 + cell.bbox.x1) / 2;
+      const index = centres.findIndex((_, i) => (
+        i === centres.length - 1 || centre < (centres[i] + centres[i + 1]) / 2
+      ));
+      slots[index].push(cell);
+    });
+  }
+
+  return slots.map(slot => (slot.length ? mergeCells(slot) : null));
+};
+
+// Characters Tesseract commonly confuses on result sheets, and what each may
+// really have been
+const OCR_CONFUSIONS = {
+  '8': ['B'], 'B': ['8'],
+  '0': ['O'], 'O': ['0'], 'D': ['0', 'O'],
+  '4': ['+', 'A'], 'T': ['+'], '+': ['4', 'T'],
+  '1': ['I', 'L'], 'I': ['1', 'L'], 'L': ['1', 'I'],
+  '5': ['S'], 'S': ['5'],
+  '2': ['Z'], 'Z': ['2'],
+  '6': ['G'], 'G': ['6'],
+  '|': ['/', '1', 'I'], '\\': ['/'],
+  '—': ['-'], '–': ['-'], '_': ['-'], '~': ['-']
+};
+
+// Substitutions tried on a single cell before giving up on it
+const MAX_OCR_SUBSTITUTIONS = 3;
+
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Readings of `text` with one more confused character swapped, level by level
+const substitutionLevels = (text) => {
+  const levels = [[text]];
+  const seen = new Set([text]);
+
+  for (let level = 1; level <= MAX_OCR_SUBSTITUTIONS; level++) {
+    const next = [];
+    levels[level - 1].forEach(variant => {
+      [...variant].forEach((char, i) => {
+        (OCR_CONFUSIONS[char] || []).forEach(replacement => {
+          const candidate = variant.slice(0, i) + replacement + variant.slice(i + 1);
+          if (!seen.has(candidate)) {
+            seen.add(candidate);
+            next.push(candidate);
+          }
+        });
+      });
+    });
+    levels.push(next);
+  }
+
+  return levels;
+};
+
+// The only value at the lowest substitution level that passes `accept`
+const firstUniqueMatch = (levels, accept) => {
+  for (const level of levels.slice(1)) {
+    const matches = [...new Set(level.map(accept).filter(Boolean))];
+    if (matches.length === 1) return matches[0];
+    if (matches.length > 1) return null;
+  }
+  return null;
+};
+
+// Index numbers read without their separators, e.g. 20COM386 for 20/COM/386
+const restoreSeparators = (text) => text.replace(/(\d)(?=[A-Z])|([A-Z])(?=\d)/g, '$1$2/');
+
+// Correction layer between OCR and parsing. Grades the scheme does not know
+// and index numbers that are neither on the roster nor fit the template are
+// retried with the usual character confusions, then fuzzy-matched against the
+// grading scale or the roster. Each fix is returned with the rule that made it
+// so the draft can show the reviewer what was changed.
+const createOcrCorrector = ({ scheme, roster, template }) => {
+  const indexNoRegex = compileSheetTemplate(template || DEFAULT_SHEET_TEMPLATE).indexNoRegex;
+  const letters = scheme.grades.map(entry => entry.letter);
+  // Sheets graded in marks keep their marks; only letter sheets are read as letters
+  const usesMarks = scheme.grades.some(entry => entry.minMarks != null && entry.maxMarks != null);
+  const rosterList = [...roster];
+  const isKnownIndexNo = (text) => roster.has(text) || Boolean(indexNoRegex?.test(text));
+
+  // A unique scheme letter or roster entry one edit away
+  const closest = (text, candidates) => {
+    const matches = candidates.filter(candidate => (
+      Math.abs(candidate.length - text.length) <= 1 && editDistance(text, candidate) === 1
+    ));
+    return matches.length === 1 ? matches[0] : null;
+  };
+
+  const grade = (text) => {
+    const raw = String(text || '').trim().toUpperCase();
+    if (!raw || resolveGrade(scheme, raw)) return { text };
+
+    const substituted = firstUniqueMatch(substitutionLevels(raw), candidate => (
+      usesMarks
+        ? resolveGrade(scheme, candidate)?.marks != null && candidate
+        : resolveGrade(scheme, candidate)?.grade
+    ));
+    if (substituted) return { text: substituted, rule: 'substitution' };
+    if (usesMarks) return { text };
+
+    const fuzzy = closest(raw, letters);
+    return fuzzy ? { text: fuzzy, rule: 'gradeScale' } : { text };
+  };
+
+  const indexNo = (text) => {
+    const raw = String(text || '').replace(/\s+/g, '').toUpperCase();
+    if (!raw || isKnownIndexNo(raw)) return { text: raw };
+
+    const restored = restoreSeparators(raw);
+    if (restored !== raw && isKnownIndexNo(restored)) return { text: restored, rule: 'substitution' };
+
+    // Roster entries are preferred over readings that merely fit the pattern
+    const levels = substitutionLevels(raw).map(level => level.flatMap(candidate => (
+      [...new Set([candidate, restoreSeparators(candidate)])]
+    )));
+    const substituted = firstUniqueMatch(levels, candidate => roster.has(candidate) && candidate)
+      || firstUniqueMatch(levels, candidate => indexNoRegex?.test(candidate) && candidate);
+    if (substituted) return { text: substituted, rule: 'substitution' };
+
+    // Without a pattern a near miss may just be a student not yet on record
+    const fuzzy = indexNoRegex && closest(restored, rosterList);
+    return fuzzy ? { text: fuzzy, rule: 'roster' } : { text: raw };
+  };
+
+  return { grade, indexNo };
+};
+
+// Index numbers already on record, for matching misread ones
+const loadRoster = async () => {
+  const students = await Student.find().select('indexNo').lean();
+  return new Set(students.map(student => student.indexNo));
+};
+
+// Field a column's problems are reported against
+const columnField = (column) => (column.role === 'course' ? column.code : column.role);
+
+// Score each table row under the derived columns. A row with problems is kept
+// with its `issues` listed so the reviewer can correct it; lines that are not
+// students (titles, footers, tally rows) are returned as `skipped`.
+const parseResultRows = (columns, rows, { semester, year, scheme, catalogue, layout, corrector }) => {
+  const courseCodes = columns.filter(column => column.role === 'course').map(column => column.code);
+  const indexColumn = columns.findIndex(column => column.role === 'indexNo');
+  const nameColumn = columns.findIndex(column => column.role === 'name');
+  const results = [];
+  const skipped = [];
+  const skip = (row, message) => skipped.push({ type: 'skippedLine', line: row.text, message });
+
+  for (const row of rows) {
+    // Table rows already hold one cell per column, unless the columns came from
+    // a page with a different grid
+    const isMatrix = row.matrix && row.cells.length === columns.length;
+    const readCells = row.cells.filter(Boolean);
+    const cells = isMatrix ? row.cells : assignCellsToColumns(readCells, columns);
+    const indexCell = cells[indexColumn];
+    const nameCell = cells[nameColumn];
+    const readIndexNo = (indexCell?.text || '').replace(/\s+/g, '').toUpperCase();
+    const name = nameCell?.text || '';
+
+    // Header rows repeated further down the sheet
+    if (readIndexNo && normalizeHeader(readIndexNo) === normalizeHeader(columns[indexColumn].cell.text)) continue;
+
+    // OCR fixes are made before validation and kept for the reviewer to audit
+    const corrections = [];
+    const correct = (field, text, kind) => {
+      if (!corrector || !text) return text;
+      const fix = corrector[kind](text);
+      if (fix.rule) corrections.push({ field, from: text, to: fix.text, rule: fix.rule });
+      return fix.text;
+    };
+
+    const indexNo = correct('indexNo', readIndexNo, 'indexNo');
+    const courses = [];
+    columns.forEach((column, j) => {
+      if (column.role !== 'course' || !cells[j] || isBlankCell(cells[j].text)) return;
+
+      const course = catalogue.get(column.code);
+      courses.push({
+        code: course.code,
+        grade: correct(column.code, cells[j].text.replace(/\s+/g, ''), 'grade'),
+        creditHours: course.credits,
+        countsTowardsGPA: course.countsTowardsGPA,
+        ocr: cells[j]
+      });
+    });
+
+    if (!courses.length) {
+      skip(row, 'Line skipped: no grades read');
+      continue;
+    }
+
+    const issues = [];
+    if (!indexNo) {
+      issues.push({ type: 'missingCell', field: 'indexNo', message: 'No index number read' });
+    } else if (layout.indexNoRegex && !layout.indexNoRegex.test(indexNo)) {
+      issues.push({ type: 'invalidIndexNo', field: 'indexNo', message: `Index number '${indexNo}' does not match the sheet template` });
+    }
+    if (!name) {
+      issues.push({ type: 'missingCell', field: 'name', message: 'No name read' });
+    }
+
+    // Cells taken in order only line up with the header when there is one per
+    // column; otherwise the grades may sit under the wrong courses. Trailing
+    // ignored columns such as remarks are often left blank.
+    if (!isMatrix && !hasCellGeometry(readCells, columns)) {
+      const lastRead = columns.findLastIndex(column => column.role !== 'ignore');
+      const lastCourse = columns.findLastIndex(column => column.role === 'course');
+      if (readCells.length <= lastRead) {
+        issues.push({
+          type: 'missingCell',
+          field: columnField(columns[readCells.length]),
+          message: `${readCells.length} cells read for ${lastRead + 1} header columns; grades may be shifted`
+        });
+      } else if (readCells.length > columns.length) {
+        issues.push({
+          type: 'extraCells',
+          field: columns[lastCourse].code,
+          message: `${readCells.length} cells read for ${columns.length} header columns; grades may be shifted and the last dropped`
+        });
+      }
+    }
+
+    // Without a usable index number and not a single valid grade the line is
+    // a tally or note rather than a student
+    if (issues.some(issue => issue.field === 'indexNo') && courses.every(course => !resolveGrade(scheme, course.grade))) {
+      skip(row, `Line skipped: ${issues[0].message}`);
+      continue;
+    }
+
+    const scored = scoreRow(courses, name, scheme);
+
+    results.push({
+      indexNo,
+      name,
+      semester,
+      year,
+      ...scored,
+      issues: [...issues, ...scored.issues],
+      corrections,
+      ocr: {
+        line: row.text,
+        confidence: row.confidence,
+        bbox: row.bbox,
+        indexNo: indexCell,
+        name: nameCell
+      }
+    });
+  }
+
+  return { headers: courseCodes, results, skipped };
+};
+
+// Parse OCR Lines. When the OCR stage found the table structure its rows are
+// used as they are; otherwise each line is split into cells on whitespace.
+// Continuation pages that do not repeat the header reuse the columns found on
+// the previous page.
+const parseResultText = (ocrLines, {
+  semester, year, scheme, catalogue, template, table, corrector, columns: previousColumns
+}) => {
+  const layout = compileSheetTemplate(template || DEFAULT_SHEET_TEMPLATE);
+  const lines = (table ? table.rows : ocrLines)
+    .map(line => ({ ...line, text: line.text.trim() }))
+    .filter(line => {
+      const text = line.text.replace(/\|/g, '').trim();
+      return text && !text.startsWith('-');
+    });
+
+  // Blank header cells keep their column's position for matching later pages
+  const toCells = (line, isHeader) => {
+    if (!table) return lineToCells(line, layout.separatorRegex);
+    if (!isHeader) return line.cells;
+    return line.cells.map((cell, i) => cell || toCell('', null, {
+      x0: table.columns[i], y0: line.bbox.y0, x1: table.columns[i + 1], y1: line.bbox.y1
+    }));
+  };
+
+  if (lines.length < (previousColumns ? 1 : 2)) {
+    throw new Error('Insufficient data extracted from image');
+  }
+
+  let columns;
+  let body = lines.slice(1);
+  try {
+    columns = deriveColumnLayout(toCells(lines[0], true), catalogue, layout);
+  } catch (error) {
+    if (!previousColumns) throw error;
+    columns = previousColumns;
+    body = lines;
+  }
+
+  const rows = body.map(line => ({ ...line, cells: toCells(line, false), matrix: Boolean(table) }));
+
+  return {
+    ...parseResultRows(columns, rows, { semester, year, scheme, catalogue, layout, corrector }),
+    columns
+  };
+};
+
+// First worksheet (or the CSV) as rows of trimmed cell text
+const readSpreadsheet = async (filePath, fileName) => {
+  if (/\.csv$/i.test(fileName)) {
+    return parseCsvRows(fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, ''))
+      .map(cells => cells.map(cell => cell.trim()));
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) {
+    throw new Error('The workbook has no worksheets');
+  }
+
+  const rows = [];
+  worksheet.eachRow(row => {
+    rows.push(Array.from({ length: worksheet.columnCount }, (_, i) => row.getCell(i + 1).text.trim()));
+  });
+  return rows.filter(cells => cells.some(Boolean));
+};
+
+// Header cells up to the last filled one; a new signature means a new layout
+const spreadsheetHeader = (table) => {
+  const header = table[0] || [];
+  let width = header.length;
+  while (width && !header[width - 1]) width--;
+  return header.slice(0, width);
+};
+
+const layoutSignature = (headers) => headers.map(normalizeHeader).join('|');
+
+// Spreadsheet cells carry no confidence or position, so they are placed in order
+const spreadsheetRows = (table) => table.slice(1).map(cells => ({
+  text: cells.join(' | '),
+  cells: cells.map(text => toCell(text, null, null))
+}));
+
+// Tag each of a row's cells with the PDF page it was read from
+const withPage = (result, page) => ({
+  ...result,
+  courses: result.courses.map(course => ({ ...course, ocr: course.ocr && { ...course.ocr, page } })),
+  ocr: {
+    ...result.ocr,
+    indexNo: { ...result.ocr.indexNo, page },
+    name: { ...result.ocr.name, page }
+  }
+});
+
+// A student whose courses run onto the next page becomes a single row
+const mergePageRows = (results, scheme) => {
+  const merged = new Map();
+
+  results.forEach(result => {
+    // Rows whose index number was not read cannot be matched up
+    const existing = result.indexNo && merged.get(result.indexNo);
+    if (!existing) {
+      merged.set(result.indexNo || Symbol('row'), result);
+      return;
+    }
+
+    const courses = [
+      ...existing.courses,
+      ...result.courses.filter(course => !existing.courses.some(entry => entry.code === course.code))
+    ];
+    const scored = scoreRow(courses, existing.name, scheme);
+    merged.set(result.indexNo, {
+      ...existing,
+      ...scored,
+      issues: [...existing.issues.filter(issue => issue.type !== 'invalidGrade'), ...scored.issues],
+      corrections: [
+        ...existing.corrections,
+        ...result.corrections.filter(fix => !existing.corrections.some(entry => entry.field === fix.field))
+      ]
+    });
+  });
+
+  return [...merged.values()];
+};
+
+// OCR and parse a PDF page by page. A page that fails is reported and skipped;
+// the upload only fails when no page could be read.
+const parsePdfPages = async (pages, {
+  semester, year, scheme, catalogue, template, corrector, report = () => {}, warn = () => {}
+}) => {
+  const statuses = [];
+  const texts = [];
+  const headers = [];
+  const results = [];
+  const skipped = [];
+  let columns;
+
+  for (const { page, imagePath } of pages) {
+    const reportPage = (stage, fraction) => report(stage, fraction, { page, pages: pages.length });
+
+    try {
+      // The page image is replaced by its straightened version for review
+      const ocr = await processResultSheet(imagePath, template, reportPage);
+      fs.writeFileSync(imagePath, ocr.aligned);
+      texts.push(`--- Page ${page} ---\n${ocr.text}`);
+
+      reportPage('parsing');
+      const parsed = parseResultText(ocr.lines, {
+        semester, year, scheme, catalogue, template, table: ocr.table, corrector, columns
+      });
+      const pageResults = parsed.results.map(result => withPage(result, page));
+      columns = parsed.columns;
+      parsed.headers.forEach(code => headers.includes(code) || headers.push(code));
+      results.push(...pageResults);
+      skipped.push(...parsed.skipped.map(issue => ({ ...issue, page })));
+      statuses.push({ page, imagePath, status: 'parsed', count: parsed.results.length });
+      lowConfidenceWarnings(pageResults).forEach(warn);
+    } catch (error) {
+      console.error(`PDF page ${page} error:`, error);
+      statuses.push({ page, imagePath, status: 'failed', count: 0, error: error.message });
+      warn({ page, message: `Page ${page} could not be read: ${error.message}` });
+    }
+  }
+
+  if (!statuses.some(entry => entry.status === 'parsed')) {
+    throw new Error(`No page could be read: ${statuses.map(entry => `page ${entry.page}: ${entry.error}`).join('; ')}`);
+  }
+
+  return {
+    pages: statuses,
+    ocrText: texts.join('\n'),
+    headers,
+    results: mergePageRows(results, scheme),
+    skipped
+  };
+};
+
+// List every cell the OCR engine was unsure about
+const collectLowConfidence = (rows) => rows.flatMap((row, rowIndex) => [
+  { field: 'indexNo', cell: row.ocr.indexNo },
+  { field: 'name', cell: row.ocr.name },
+  ...row.courses.map(course => ({ field: course.code, cell: course.ocr }))
+]
+  .filter(({ cell }) => cell?.lowConfidence)
+  .map(({ field, cell }) => ({
+    row: rowIndex,
+    indexNo: row.indexNo,
+    field,
+    text: cell.text,
+    confidence: cell.confidence,
+    bbox: cell.bbox,
+    page: cell.page
+  })));
+
+// One warning per row that has cells read with low confidence
+const lowConfidenceWarnings = (results) => {
+  const byRow = new Map();
+  collectLowConfidence(results).forEach(cell => {
+    byRow.set(cell.row, [...(byRow.get(cell.row) || []), cell]);
+  });
+
+  return [...byRow.values()].map(cells => ({
+    indexNo: cells[0].indexNo,
+    page: cells[0].page,
+    message: `Low confidence in ${cells
+      .map(cell => `${cell.field} '${cell.text}' (${Math.round(cell.confidence)}%)`)
+      .join(', ')}`
+  }));
+};
+
+// The parse report: errors on rows still to be corrected, then warnings for
+// the lines that were left out
+const collectIssues = (rows, skipped = []) => [
+  ...rows.flatMap((row, rowIndex) => (row.issues || []).map(issue => ({
+    severity: 'error',
+    row: rowIndex,
+    indexNo: row.indexNo || undefined,
+    page: row.ocr?.indexNo?.page,
+    ...issue
+  }))),
+  ...skipped.map(issue => ({ severity: 'warning', ...issue }))
+];
+
+// Progress bar range (percent) for each stage of turning a sheet into a draft
+const UPLOAD_STAGES = {
+  preprocessing: [0, 10],
+  ocr: [10, 75],
+  parsing: [75, 85],
+  validation: [85, 92],
+  saving: [92, 100]
+};
+
+// Overall percent for a stage. The stages up to parsing repeat for every page
+// of a PDF, so their share of the bar is split between the pages.
+const stagePercent = (stage, fraction = 0, page = 1, pages = 1) => {
+  const [from, to] = UPLOAD_STAGES[stage];
+  const percent = from + (to - from) * Math.min(Math.max(fraction, 0), 1);
+  if (percent >= UPLOAD_STAGES.validation[0]) return Math.round(percent);
+
+  return Math.round((UPLOAD_STAGES.validation[0] * (page - 1) + percent) / pages);
+};
+
+// Shared with the upload form and draft review, which also show the labels
+const IMPORT_MODES = require('./src/importModes.json').map(([mode]) => mode);
+
+const hashFile = (filePath) => crypto.createHash('sha256')
+  .update(fs.readFileSync(filePath))
+  .digest('hex');
+
+// Names are compared ignoring case and spacing, so OCR noise in either is tolerated
+const normalizeName = (name) => String(name || '').trim().replace(/\s+/g, ' ').toUpperCase();
+
+// Note the recorded name on rows whose name differs from the student record
+const markNameConflicts = async (rows) => {
+  const students = await Student.find({ indexNo: { $in: rows.map(row => row.indexNo) } })
+    .select('indexNo name')
+    .lean();
+  const names = new Map(students.map(student => [student.indexNo, student.name]));
+
+  return rows.map(row => {
+    const recordedName = names.get(row.indexNo);
+    return {
+      ...row,
+      recordedName: recordedName && normalizeName(recordedName) !== normalizeName(row.name)
+        ? recordedName
+        : undefined
+    };
+  });
+};
+
+// Student record for each draft row, created the first time an index number
+// is seen. A different name never overwrites the recorded one; it is kept as
+// a conflict for someone to resolve on the student record.
+const resolveStudents = async (draft) => {
+  const students = new Map();
+
+  for (const row of draft.rows) {
+    let student = await Student.findOne({ indexNo: row.indexNo });
+
+    if (!student) {
+      student = await Student.create({
+        indexNo: row.indexNo,
+        name: row.name,
+        programme: draft.programme || programmeFromIndexNo(row.indexNo),
+        intakeYear: draft.batch ?? intakeYearFromIndexNo(row.indexNo)
+      });
+    } else if (
+      normalizeName(student.name) !== normalizeName(row.name)
+      && !student.nameConflicts.some(conflict => normalizeName(conflict.name) === normalizeName(row.name))
+    ) {
+      student.nameConflicts.push({ name: row.name, fileName: draft.fileName, draft: draft._id });
+      await student.save();
+    }
+
+    students.set(row.indexNo, student);
+  }
+
+  return students;
+};
+
+// Results stored before the Student collection carry the name and final
+// standing themselves; move those onto student records and link them, and
+// give results without a batch/programme the student's
+const linkStudentRecords = async () => {
+  const unlinkedFilter = { $or: [{ student: { $exists: false } }, { batch: { $exists: false } }] };
+  const unlinked = await Result.find(unlinkedFilter).sort({ _id: 1 }).lean();
+  if (!unlinked.length) return;
+
+  const latest = new Map(unlinked.map(result => [result.indexNo, result]));
+
+  for (const [indexNo, result] of latest) {
+    const student = await Student.findOneAndUpdate(
+      { indexNo },
+      {
+        $setOnInsert: {
+          name: result.name || indexNo,
+          programme: programmeFromIndexNo(indexNo),
+          intakeYear: intakeYearFromIndexNo(indexNo),
+          yearGPA: result.yearGPA,
+          finalGPA: result.finalGPA,
+          finalClass: result.finalClass,
+          finalClassReason: result.finalClassReason
+        }
+      },
+      { upsert: true, new: true }
+    );
+
+    await Result.updateMany(
+      { indexNo, ...unlinkedFilter },
+      {
+        $set: { student: student._id, batch: student.intakeYear, programme: student.programme },
+        $unset: { name: 1, yearGPA: 1, finalGPA: 1, finalClass: 1, finalClassReason: 1 }
+      },
+      { strict: false }
+    );
+  }
+
+  console.log(`Linked results of ${latest.size} students to student records`);
+};
+
+const STUDENT_STATUSES = ['active', 'graduated', 'withdrawn', 'suspended'];
+
+const validateStudent = ({ name, intakeYear, status }) => {
+  const errors = [];
+
+  if (!String(name || '').trim()) errors.push('Name is required');
+  if (!isBlank(intakeYear) && !Number.isInteger(Number(intakeYear))) {
+    errors.push('Intake year must be a whole number');
+  }
+  if (status && !STUDENT_STATUSES.includes(status)) {
+    errors.push(`Unknown status '${status}'`);
+  }
+
+  return errors;
+};
+
+const normalizeStudent = ({ name, programme, intakeYear, status }) => ({
+  name: String(name).trim(),
+  programme: isBlank(programme) ? undefined : String(programme).trim().toUpperCase(),
+  intakeYear: isBlank(intakeYear) ? undefined : Number(intakeYear),
+  status: status || 'active'
+});
+
+// Strip review-only OCR metadata so a draft row can be stored as a Result
+const toStoredCourse = ({ code, grade, marks, creditHours, countsTowardsGPA, qualityPoints, attempt }) => ({
+  code, grade, marks, creditHours, countsTowardsGPA, qualityPoints, attempt
+});
+
+const SESSION_MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Sort key of an exam session such as '2024 May'. A session without a month
+// sorts before that year's others, and no session at all (the regular sitting
+// of a period) before every named one.
+const sessionKey = (examSession) => {
+  const text = String(examSession || '').toLowerCase();
+  const year = Number(text.match(/\d{4}/)?.[0]) || 0;
+  const month = SESSION_MONTHS.findIndex(name => text.includes(name)) + 1;
+  return year * 13 + month;
+};
+
+// Order two sittings by study period, then by exam session
+const compareSittings = (a, b) => (
+  a.year - b.year || a.semester - b.semester || sessionKey(a.examSession) - sessionKey(b.examSession)
+);
+
+// Attempts of each course recorded for these students in sittings before the
+// given one
+const countPreviousAttempts = async (indexNos, sitting) => {
+  const results = await Result.find({ indexNo: { $in: indexNos } })
+    .select('indexNo year semester examSession courses.code')
+    .lean();
+  const counts = new Map();
+
+  results
+    .filter(result => compareSittings(result, sitting) < 0)
+    .forEach(result => result.courses.forEach(course => {
+      const key = `${result.indexNo}|${course.code}`;
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }));
+
+  return counts;
+};
+
+// Courses first recorded by an import that comes before sittings already on
+// record (an older session imported late) push those later attempts up one
+const renumberLaterAttempts = async (sitting, indexNo, codes) => {
+  if (!codes.length) return;
+  const results = await Result.find({ indexNo, 'courses.code': { $in: codes } });
+
+  for (const result of results.filter(entry => compareSittings(entry, sitting) > 0)) {
+    result.courses
+      .filter(course => codes.includes(course.code))
+      .forEach(course => {
+        course.attempt = (course.attempt || 1) + 1;
+      });
+    await result.save();
+  }
+};
+
+// Results already stored for the draft's students in the same period and session
+const findExistingResults = (draft) => Result.find({
+  indexNo: { $in: draft.rows.map(row => row.indexNo) },
+  year: draft.year,
+  semester: draft.semester,
+  examSession: draft.examSession ?? null
+});
+
+// Rows whose courses are already recorded for the same period and session
+const findImportConflicts = (draft, existing) => draft.rows
+  .map(row => ({
+    indexNo: row.indexNo,
+    codes: row.courses
+      .map(course => course.code)
+      .filter(code => existing.some(result => (
+        result.indexNo === row.indexNo && result.courses.some(course => course.code === code)
+      )))
+  }))
+  .filter(conflict => conflict.codes.length);
+
+// Write confirmed draft rows according to the import mode. 'replace' overwrites
+// grades already recorded for the same session, 'merge' only adds courses that
+// are missing; 'reject' is checked by the caller before anything is written.
+const importDraftRows = async (draft, scheme, catalogue) => {
+  const existing = await findExistingResults(draft);
+  const previousAttempts = await countPreviousAttempts(draft.rows.map(row => row.indexNo), draft);
+  const students = await resolveStudents(draft);
+  const counts = { created: 0, updated: 0, skipped: 0 };
+
+  for (const row of draft.rows.map(entry => entry.toObject())) {
+    const student = students.get(row.indexNo);
+    const scope = {
+      student: student._id,
+      batch: draft.batch ?? student.intakeYear,
+      programme: draft.programme || student.programme
+    };
+    const courses = row.courses.map(course => ({
+      ...course,
+      attempt: (previousAttempts.get(`${row.indexNo}|${course.code}`) || 0) + 1
+    }));
+    const codes = courses.map(course => course.code);
+    const [target, ...others] = existing.filter(result => result.indexNo === row.indexNo);
+
+    if (!target) {
+      await Result.create({
+        indexNo: row.indexNo,
+        ...scope,
+        semester: draft.semester,
+        year: draft.year,
+        examSession: draft.examSession,
+        gradingScheme: draft.gradingScheme,
+        courses: courses.map(toStoredCourse),
+        semesterGPA: row.semesterGPA
+      });
+      await renumberLaterAttempts(draft, row.indexNo, codes);
+      counts.created++;
+      continue;
+    }
+
+    const recorded = [target, ...others].flatMap(result => result.courses.map(course => course.code));
+    const added = draft.importMode === 'merge'
+      ? courses.filter(course => !recorded.includes(course.code))
+      : courses;
+
+    if (!added.length) {
+      counts.skipped++;
+      continue;
+    }
+
+    // Replaced courses may live on another result of the same session
+    for (const other of others) {
+      other.courses = other.courses.filter(course => !codes.includes(course.code));
+      if (other.courses.length) {
+        await other.save();
+      } else {
+        await other.deleteOne();
+      }
+    }
+
+    const merged = [
+      ...target.courses.map(course => course.toObject())
+        .filter(course => !added.some(entry => entry.code === course.code)),
+      ...added
+    ];
+    const scored = scoreCourses(applyCatalogue(merged, catalogue), row.name, scheme);
+
+    target.set(scope);
+    target.gradingScheme = draft.gradingScheme;
+    target.courses = scored.courses.map(toStoredCourse);
+    target.semesterGPA = scored.semesterGPA;
+    await target.save();
+    await renumberLaterAttempts(
+      draft,
+      row.indexNo,
+      added.map(course => course.code).filter(code => !recorded.includes(code))
+    );
+    counts.updated++;
+  }
+
+  return counts;
+};
+
+// Patterns of the template a draft was read with, to re-check edited rows
+const loadDraftLayout = async (draft) => compileSheetTemplate(
+  (draft.sheetTemplate && await SheetTemplate.findById(draft.sheetTemplate).lean()) || DEFAULT_SHEET_TEMPLATE
+);
+
+// Replace the draft rows with reviewer-edited ones and re-score them. Rows
+// that still have problems keep them as issues instead of failing the save.
+const applyDraftEdits = (draft, rows, scheme, catalogue, layout) => {
+  draft.rows = rows.map(row => {
+    const indexNo = String(row.indexNo || '').trim();
+    const name = String(row.name || '').trim();
+    const issues = [];
+
+    if (!indexNo) {
+      issues.push({ type: 'missingCell', field: 'indexNo', message: 'Index number is required' });
+    } else if (layout.indexNoRegex && !layout.indexNoRegex.test(indexNo)) {
+      issues.push({ type: 'invalidIndexNo', field: 'indexNo', message: `Index number '${indexNo}' does not match the sheet template` });
+    }
+    if (!name) {
+      issues.push({ type: 'missingCell', field: 'name', message: 'Name is required' });
+    }
+
+    // Clearing a grade means the student did not take that course
+    const courses = row.courses.filter(course => !isBlankCell(course.grade));
+    const scored = scoreRow(applyCatalogue(courses, catalogue), name, scheme);
+
+    return {
+      ...row,
+      indexNo,
+      name,
+      ...scored,
+      issues: [...issues, ...scored.issues]
+    };
+  });
+};
+
+const removeDraftImage = (draft) => {
+  [draft.imagePath, ...(draft.pages || []).map(page => page.imagePath)].forEach(imagePath => {
+    if (imagePath && fs.existsSync(imagePath)) {
+      fs.unlinkSync(imagePath);
+    }
+  });
+};
+
+// Checks shared by single and bulk uploads, made before any file is processed
+const validateUploadOptions = (options) => {
+  const scopeErrors = validateScope(options);
+  if (scopeErrors.length) {
+    return { error: 'Invalid batch or programme', details: scopeErrors.join('; ') };
+  }
+
+  const importMode = options.importMode || 'reject';
+  if (!IMPORT_MODES.includes(importMode)) {
+    return { error: `Unknown import mode '${importMode}'` };
+  }
+
+  return null;
+};
+
+// Turn an uploaded sheet into a draft awaiting review. The outcome comes back
+// as the status and body of the upload response, so a queued job records the
+// same result a direct upload would have answered with. Progress and per-row
+// warnings are passed to `emit` as they happen.
+const processUpload = async (file, options, emit = () => {}) => {
+  let pageImages = [];
+  let imagePath = file.path;
+  const report = (stage, fraction, { page, pages } = {}) => emit({
+    type: 'progress',
+    stage,
+    percent: stagePercent(stage, fraction, page, pages),
+    page,
+    pages
+  });
+  const warn = (warning) => emit({ type: 'warning', ...warning });
+  let reservation = null;
+
+  try {
+    const { semester, year } = options;
+    const importMode = options.importMode || 'reject';
+    const contentHash = hashFile(file.path);
+
+    // Reserve the hash first, so two copies of a file in one bulk upload
+    // cannot both pass the duplicate check below
+    try {
+      reservation = await UploadReservation.create({ contentHash });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      fs.unlinkSync(file.path);
+      return {
+        status: 409,
+        body: {
+          success: false,
+          error: 'This sheet is already being processed',
+          details: 'Another copy of the same file is being turned into a draft'
+        }
+      };
+    }
+
+    // The same file uploaded again is refused unless replacing or merging
+    const duplicateOf = await Draft.findOne({ contentHash })
+      .select('fileName status createdAt')
+      .lean();
+
+    if (duplicateOf && importMode === 'reject') {
+      fs.unlinkSync(file.path);
+      return {
+        status: 409,
+        body: {
+          success: false,
+          error: 'This sheet has already been uploaded',
+          details: `Same file as ${duplicateOf.fileName} uploaded ${duplicateOf.createdAt.toISOString()} (${duplicateOf.status})`,
+          duplicateOf
+        }
+      };
+    }
+
+    // An upload that names no scheme is graded with its programme's
+    const scheme = await loadGradingScheme(
+      options.gradingScheme || await programmeGradingScheme(normalizeScope(options).programme)
+    );
+    const catalogue = await loadCourseCatalogue();
+    const source = isSpreadsheet(file) ? 'spreadsheet' : isPdf(file) ? 'pdf' : 'image';
+    let template;
+    let parsed;
+    let ocrText;
+
+    if (source === 'spreadsheet') {
+      report('parsing');
+      const table = await readSpreadsheet(file.path, file.originalname);
+      fs.unlinkSync(file.path);
+
+      // A layout seen before is matched to the template mapped for it
+      const headerRow = spreadsheetHeader(table);
+      const signature = layoutSignature(headerRow);
+      template = options.sheetTemplate
+        ? await loadSheetTemplate(options.sheetTemplate)
+        : await SheetTemplate.findOne({ layoutSignature: signature }).lean() || DEFAULT_SHEET_TEMPLATE;
+
+      const layout = compileSheetTemplate(template);
+      let columns;
+      try {
+        columns = deriveColumnLayout(headerRow.map(text => toCell(text, null, null)), catalogue, layout);
+      } catch (error) {
+        return {
+          status: 422,
+          body: {
+            success: false,
+            error: 'Spreadsheet columns need to be mapped',
+            details: error.message,
+            needsMapping: true,
+            headers: headerRow,
+            layoutSignature: signature
+          }
+        };
+      }
+
+      parsed = parseResultRows(columns, spreadsheetRows(table), { semester, year, scheme, catalogue, layout });
+    } else if (source === 'pdf') {
+      template = await loadSheetTemplate(options.sheetTemplate);
+
+      // Pages are reviewed against their rendered images, so the PDF itself is not kept
+      report('preprocessing');
+      pageImages = await rasterisePdf(file.path);
+      fs.unlinkSync(file.path);
+
+      const corrector = createOcrCorrector({ scheme, roster: await loadRoster(), template });
+      parsed = await parsePdfPages(pageImages, {
+        semester, year, scheme, catalogue, template, corrector, report, warn
+      });
+      ocrText = parsed.ocrText;
+    } else {
+      template = await loadSheetTemplate(options.sheetTemplate);
+
+      // Process image and extract text
+      const ocr = await processResultSheet(file.path, template, report);
+      console.log('OCR Output:', ocr.text);
+      ocrText = ocr.text;
+
+      // Keep the straightened page for review in place of the original scan
+      imagePath = file.path.replace(/\.[^.]+$/, '') + '.png';
+      fs.writeFileSync(imagePath, ocr.aligned);
+      if (imagePath !== file.path) fs.unlinkSync(file.path);
+
+      // Parse and validate results
+      report('parsing');
+      const corrector = createOcrCorrector({ scheme, roster: await loadRoster(), template });
+      parsed = parseResultText(ocr.lines, {
+        semester, year, scheme, catalogue, template, table: ocr.table, corrector
+      });
+      lowConfidenceWarnings(parsed.results).forEach(warn);
+    }
+
+    const { headers, results, pages, skipped } = parsed;
+    const issues = collectIssues(results, skipped);
+    issues.forEach(issue => warn({
+      indexNo: issue.indexNo,
+      page: issue.page,
+      message: issue.line ? `${issue.message}: '${issue.line}'` : issue.message
+    }));
+
+    report('validation');
+    const rows = await markNameConflicts(results);
+    rows
+      .filter(row => row.recordedName)
+      .forEach(row => warn({
+        indexNo: row.indexNo,
+        message: `Name read as '${row.name}' but recorded as '${row.recordedName}'`
+      }));
+
+    // Keep as a draft until a reviewer confirms it
+    report('saving');
+    const draft = await Draft.create({
+      semester,
+      year,
+      examSession: options.examSession || undefined,
+      ...normalizeScope(options),
+      gradingScheme: scheme._id,
+      sheetTemplate: template._id,
+      fileName: file.originalname,
+      source,
+      imagePath: source === 'image' ? imagePath : undefined,
+      pages,
+      contentHash,
+      importMode,
+      ocrText,
+      headers,
+      rows,
+      skippedLines: skipped
+    });
+
+    return {
+      status: 200,
+      body: {
+        success: true,
+        message: 'Results extracted, please review before saving',
+        count: results.length,
+        invalid: results.filter(row => row.issues.length).length,
+        issues,
+        corrections: results.flatMap(row => (row.corrections || []).map(fix => ({ indexNo: row.indexNo, ...fix }))),
+        lowConfidence: collectLowConfidence(results),
+        nameConflicts: rows
+          .filter(row => row.recordedName)
+          .map(({ indexNo, name, recordedName }) => ({ indexNo, name, recordedName })),
+        pages: pages?.map(({ page, status, count, error }) => ({ page, status, count, error })),
+        duplicateOf,
+        draft
+      }
+    };
+
+  } catch (error) {
+    console.error('Upload error:', error);
+
+    // The sheet image is only kept for drafts awaiting review
+    [file.path, imagePath, ...pageImages.map(page => page.imagePath)].forEach(filePath => {
+      if (filePath && fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    });
+
+    return {
+      status: 500,
+      body: {
+        success: false,
+        error: 'Result processing failed',
+        details: error.message
+      }
+    };
+  } finally {
+    // Once the draft exists the duplicate check blocks further copies
+    if (reservation) {
+      await UploadReservation.deleteOne({ _id: reservation._id })
+        .catch(error => console.error('Upload reservation release error:', error));
+    }
+  }
+};
+
+// Upload Result Sheet Endpoint
+app.post('/api/upload', upload.single('resultSheet'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+
+  const invalid = validateUploadOptions(req.body);
+  if (invalid) {
+    fs.unlinkSync(req.file.path);
+    return res.status(400).json({ success: false, ...invalid });
+  }
+
+  const { status, body } = await processUpload(req.file, req.body);
+  res.status(status).json(body);
+});
+
+// Live upload progress, fanned out to every open event stream
+const uploadEvents = new EventEmitter();
+uploadEvents.setMaxListeners(0);
+
+// Latest progress and warnings of each running job, replayed to streams that
+// connect part way through
+const uploadProgress = new Map();
+
+const publishUploadEvent = (jobId, event) => {
+  const id = String(jobId);
+  const state = uploadProgress.get(id) || { warnings: [] };
+
+  if (event.type === 'progress') state.progress = event;
+  if (event.type === 'warning') state.warnings.push(event);
+
+  if (event.type === 'done') {
+    uploadProgress.delete(id);
+  } else {
+    uploadProgress.set(id, state);
+  }
+
+  uploadEvents.emit('event', { jobId: id, ...event });
+};
+
+// Uploads processed at once; each holds an OCR worker while it runs
+let runningUploadJobs = 0;
+
+const runUploadJob = async (job) => {
+  try {
+    const file = { path: job.filePath, originalname: job.fileName, mimetype: job.mimetype };
+    const emit = (event) => publishUploadEvent(job._id, event);
+    const { status, body } = await processUpload(file, job.options, emit);
+    const { draft, ...result } = body;
+
+    job.status = status === 200 ? 'completed' : 'failed';
+    job.draft = draft?._id;
+    job.result = result;
+    job.error = status === 200 ? undefined : body.details || body.error;
+  } catch (error) {
+    console.error('Upload job error:', error);
+    job.status = 'failed';
+    job.error = error.message;
+  }
+
+  job.finishedAt = new Date();
+  await job.save();
+
+  publishUploadEvent(job._id, {
+    type: 'done',
+    job: await UploadJob.findById(job._id).select('-filePath -options').lean()
+  });
+};
+
+// Claim queued jobs oldest first until every worker is busy
+const runUploadQueue = async () => {
+  while (runningUploadJobs < OCR_WORKERS) {
+    runningUploadJobs++;
+    const job = await UploadJob.findOneAndUpdate(
+      { status: 'queued' },
+      { status: 'processing', startedAt: new Date() },
+      { sort: { createdAt: 1 }, new: true }
+    ).catch(error => {
+      console.error('Upload queue error:', error);
+      return null;
+    });
+
+    if (!job) {
+      runningUploadJobs--;
+      return;
+    }
+
+    runUploadJob(job)
+      .catch(error => console.error('Upload job save error:', error))
+      .finally(() => {
+        runningUploadJobs--;
+        runUploadQueue();
+      });
+  }
+};
+
+// Jobs interrupted by a restart are queued again; their files are still on disk
+const resumeUploadJobs = async () => {
+  await UploadJob.updateMany({ status: 'processing' }, { status: 'queued' });
+  runUploadQueue();
+};
+
+const MAX_BULK_FILES = 50;
+
+// Bulk Upload Endpoint (queues every sheet and returns straight away)
+app.post('/api/upload/bulk', upload.array('resultSheets', MAX_BULK_FILES), async (req, res) => {
+  try {
+    if (!req.files?.length) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+
+    const invalid = validateUploadOptions(req.body);
+    if (invalid) {
+      req.files.forEach(file => fs.unlinkSync(file.path));
+      return res.status(400).json({ success: false, ...invalid });
+    }
+
+    const jobs = await UploadJob.insertMany(req.files.map(file => ({
+      fileName: file.originalname,
+      filePath: file.path,
+      mimetype: file.mimetype,
+      options: req.body
+    })));
+
+    runUploadQueue();
+
+    res.status(202).json({
+      success: true,
+      message: `${jobs.length} sheet${jobs.length > 1 ? 's' : ''} queued for processing`,
+      data: jobs.map(({ _id, fileName, status }) => ({ _id, fileName, status }))
+    });
+
+  } catch (error) {
+    console.error('Bulk upload error:', error);
+    (req.files || []).forEach(file => {
+      if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to queue uploads',
+      details: error.message
+    });
+  }
+});
+
+// List Upload Jobs Endpoint (?ids=a,b to follow particular jobs)
+app.get('/api/upload-jobs', async (req, res) => {
+  try {
+    const ids = req.query.ids ? String(req.query.ids).split(',').map(id => id.trim()) : [];
+    const invalid = ids.filter(id => !mongoose.Types.ObjectId.isValid(id));
+    if (invalid.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid upload job ids',
+        details: invalid.join(', ')
+      });
+    }
+
+    const filter = ids.length ? { _id: { $in: ids } } : {};
+    const jobs = await UploadJob.find(filter)
+      .select('-filePath -options')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(req.query.limit) || 50)
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: jobs
+    });
+
+  } catch (error) {
+    console.error('Upload job listing error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch upload jobs',
+      details: error.message
+    });
+  }
+});
+
+// Comment lines sent on idle event streams so proxies keep them open
+const SSE_HEARTBEAT_INTERVAL = 25000;
+
+// Upload Job Events Endpoint (Server-Sent Events for every running job)
+app.get('/api/upload-jobs/events', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = (event) => res.write(`data: ${JSON.stringify(event)}\n\n`);
+
+  uploadProgress.forEach((state, jobId) => {
+    if (state.progress) send({ jobId, ...state.progress });
+    state.warnings.forEach(warning => send({ jobId, ...warning }));
+  });
+
+  uploadEvents.on('event', send);
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    uploadEvents.off('event', send);
+    clearInterval(heartbeat);
+  });
+});
+
+// Upload Job Status Endpoint
+app.get('/api/upload-jobs/:id', async (req, res) => {
+  try {
+    const job = await UploadJob.findById(req.params.id).select('-filePath -options').lean();
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Upload job not found'
+      });
+    }
+
+    // Position in the queue, counting jobs that were queued earlier
+    const ahead = job.status === 'queued'
+      ? await UploadJob.countDocuments({ status: 'queued', createdAt: { $lt: job.createdAt } })
+      : 0;
+
+    res.status(200).json({
+      success: true,
+      data: { ...job, ahead }
+    });
+
+  } catch (error) {
+    console.error('Upload job lookup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch upload job',
+      details: error.message
+    });
+  }
+});
+
+// List Drafts Endpoint
+app.get('/api/drafts', async (req, res) => {
+  try {
+    const drafts = await Draft.find({ status: req.query.status || 'pending', ...scopeFilter(req.query) })
+      .select('-ocrText -rows.ocr -rows.courses')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: drafts.map(({ rows, ...draft }) => ({ ...draft, count: rows.length }))
+    });
+
+  } catch (error) {
+    console.error('Draft listing error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch drafts',
+      details: error.message
+    });
+  }
+});
+
+// Get Draft Endpoint
+app.get('/api/drafts/:id', async (req, res) => {
+  try {
+    const draft = await Draft.findById(req.params.id).lean();
+
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        error: 'Draft not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: draft
+    });
+
+  } catch (error) {
+    console.error('Draft lookup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch draft',
+      details: error.message
+    });
+  }
+});
+
+// Draft Sheet Image Endpoint
+app.get('/api/drafts/:id/image', async (req, res) => {
+  try {
+    const draft = await Draft.findById(req.params.id).select('imagePath pages').lean();
+
+    // PDF drafts serve one rendered page at a time (?page=2)
+    const page = draft?.pages?.find(entry => entry.page === (parseInt(req.query.page) || 1));
+    const imagePath = page ? page.imagePath : draft?.imagePath;
+
+    if (!imagePath || !fs.existsSync(imagePath)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sheet image not found'
+      });
+    }
+
+    res.sendFile(path.resolve(imagePath));
+
+  } catch (error) {
+    console.error('Draft image error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch sheet image',
+      details: error.message
+    });
+  }
+});
+
+// Save Draft Corrections Endpoint
+app.put('/api/drafts/:id', async (req, res) => {
+  try {
+    const draft = await Draft.findById(req.params.id);
+
+    if (!draft || draft.status !== 'pending') {
+      return res.status(404).json({
+        success: false,
+        error: 'Pending draft not found'
+      });
+    }
+
+    try {
+      const scheme = await loadGradingScheme(draft.gradingScheme);
+      applyDraftEdits(draft, req.body.rows || [], scheme, await loadCourseCatalogue(), await loadDraftLayout(draft));
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid corrections',
+        details: error.message
+      });
+    }
+
+    draft.rows = await markNameConflicts(draft.rows.map(row => row.toObject()));
+    await draft.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Draft saved',
+      data: draft
+    });
+
+  } catch (error) {
+    console.error('Draft save error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save draft',
+      details: error.message
+    });
+  }
+});
+
+// Confirm Draft Endpoint
+app.post('/api/drafts/:id/confirm', async (req, res) => {
+  if (req.body.importMode && !IMPORT_MODES.includes(req.body.importMode)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown import mode '${req.body.importMode}'`
+    });
+  }
+
+  let draft;
+  try {
+    // Claim the draft first, so a second confirm sent at the same time
+    // cannot import the same rows again
+    draft = await Draft.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      { status: 'confirming' },
+      { new: true }
+    );
+
+    if (!draft) {
+      if (await Draft.exists({ _id: req.params.id })) {
+        return res.status(409).json({
+          success: false,
+          error: 'Draft is already being confirmed or has been confirmed'
+        });
+      }
+      return res.status(404).json({
+        success: false,
+        error: 'Pending draft not found'
+      });
+    }
+
+    if (req.body.importMode) {
+      draft.importMode = req.body.importMode;
+    }
+
+    const scheme = await loadGradingScheme(draft.gradingScheme);
+    const catalogue = await loadCourseCatalogue();
+
+    try {
+      const rows = req.body.rows || draft.rows.map(row => row.toObject());
+      applyDraftEdits(draft, rows, scheme, catalogue, await loadDraftLayout(draft));
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid corrections',
+        details: error.message
+      });
+    }
+
+    // Valid rows are imported now; rows with errors stay in the draft to fix
+    const pending = draft.rows.filter(row => row.issues.length).map(row => row.toObject());
+    if (pending.length && pending.length === draft.rows.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nothing to import',
+        details: `All ${pending.length} rows still have errors to correct`,
+        issues: collectIssues(pending)
+      });
+    }
+    draft.rows = draft.rows.filter(row => !row.issues.length).map(row => row.toObject());
+
+    if (draft.importMode === 'reject') {
+      const conflicts = findImportConflicts(draft, await findExistingResults(draft));
+
+      if (conflicts.length) {
+        return res.status(409).json({
+          success: false,
+          error: 'Results already exist for this session',
+          details: `${conflicts.length} students already have results for ${
+            conflicts.slice(0, 5).map(conflict => conflict.indexNo).join(', ')
+          }${conflicts.length > 5 ? ', ...' : ''}. Choose replace or merge to import anyway`,
+          conflicts
+        });
+      }
+    }
+
+    // Save to database
+    const counts = await importDraftRows(draft, scheme, catalogue);
+
+    if (pending.length) {
+      const imported = draft.rows.length;
+      draft.rows = await markNameConflicts(pending);
+      draft.status = 'pending';
+      await draft.save();
+
+      return res.status(200).json({
+        success: true,
+        message: `${imported} results processed, ${pending.length} rows with errors kept in the draft`,
+        count: imported,
+        ...counts,
+        remaining: pending.length,
+        data: draft
+      });
+    }
+
+    removeDraftImage(draft);
+    draft.imagePath = undefined;
+    draft.pages.forEach(page => { page.imagePath = undefined; });
+    draft.status = 'confirmed';
+    draft.confirmedAt = new Date();
+    await draft.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Results processed successfully',
+      count: draft.rows.length,
+      ...counts
+    });
+
+  } catch (error) {
+    console.error('Draft confirm error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save results',
+      details: error.message
+    });
+  } finally {
+    // Release a draft that was claimed but not imported, so it can be retried
+    if (draft?.status === 'confirming') {
+      await Draft.updateOne({ _id: draft._id, status: 'confirming' }, { status: 'pending' })
+        .catch(error => console.error('Draft release error:', error));
+    }
+  }
+});
+
+// Discard Draft Endpoint
+app.delete('/api/drafts/:id', async (req, res) => {
+  try {
+    const draft = await Draft.findOneAndDelete({ _id: req.params.id, status: 'pending' });
+
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pending draft not found'
+      });
+    }
+
+    removeDraftImage(draft);
+
+    res.status(200).json({
+      success: true,
+      message: 'Draft discarded'
+    });
+
+  } catch (error) {
+    console.error('Draft discard error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to discard draft',
+      details: error.message
+    });
+  }
+});
+
+// List Grading Schemes Endpoint
+app.get('/api/grading-schemes', async (req, res) => {
+  try {
+    const schemes = await GradingScheme.find().sort({ name: 1 }).lean();
+
+    res.status(200).json({
+      success: true,
+      data: schemes
+    });
+
+  } catch (error) {
+    console.error('Grading scheme listing error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch grading schemes',
+      details: error.message
+    });
+  }
+});
+
+// Get Grading Scheme Endpoint
+app.get('/api/grading-schemes/:id', async (req, res) => {
+  try {
+    const scheme = await GradingScheme.findById(req.params.id).lean();
+
+    if (!scheme) {
+      return res.status(404).json({
+        success: false,
+        error: 'Grading scheme not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: scheme
+    });
+
+  } catch (error) {
+    console.error('Grading scheme lookup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch grading scheme',
+      details: error.message
+    });
+  }
+});
+
+// Create Grading Scheme Endpoint
+app.post('/api/grading-schemes', async (req, res) => {
+  try {
+    const errors = validateGradingScheme(req.body);
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid grading scheme',
+        details: errors.join('; ')
+      });
+    }
+
+    const values = normalizeGradingScheme(req.body);
+    if (values.isDefault) {
+      await GradingScheme.updateMany({}, { isDefault: false });
+    }
+
+    const scheme = await GradingScheme.create(values);
+
+    res.status(201).json({
+      success: true,
+      message: 'Grading scheme created',
+      data: scheme
+    });
+
+  } catch (error) {
+    console.error('Grading scheme create error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create grading scheme',
+      details: error.message
+    });
+  }
+});
+
+// Update Grading Scheme Endpoint
+app.put('/api/grading-schemes/:id', async (req, res) => {
+  try {
+    const errors = validateGradingScheme(req.body);
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid grading scheme',
+        details: errors.join('; ')
+      });
+    }
+
+    const values = normalizeGradingScheme(req.body);
+    const current = await GradingScheme.findById(req.params.id);
+
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        error: 'Grading scheme not found'
+      });
+    }
+
+    // There must always be exactly one default scheme
+    if (current.isDefault && !values.isDefault) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid grading scheme',
+        details: 'Mark another scheme as default instead'
+      });
+    }
+
+    if (values.isDefault) {
+      await GradingScheme.updateMany({ _id: { $ne: current._id } }, { isDefault: false });
+    }
+
+    current.set(values);
+    await current.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Grading scheme updated',
+      data: current
+    });
+
+  } catch (error) {
+    console.error('Grading scheme update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update grading scheme',
+      details: error.message
+    });
+  }
+});
+
+// Delete Grading Scheme Endpoint
+app.delete('/api/grading-schemes/:id', async (req, res) => {
+  try {
+    const scheme = await GradingScheme.findById(req.params.id);
+
+    if (!scheme) {
+      return res.status(404).json({
+        success: false,
+        error: 'Grading scheme not found'
+      });
+    }
+
+    const inUse = await Result.exists({ gradingScheme: scheme._id })
+      || await Draft.exists({ gradingScheme: scheme._id, status: 'pending' })
+      || await Programme.exists({ gradingScheme: scheme._id });
+
+    if (scheme.isDefault || inUse) {
+      return res.status(409).json({
+        success: false,
+        error: scheme.isDefault
+          ? 'The default grading scheme cannot be deleted'
+          : 'Grading scheme is used by existing results or programmes'
+      });
+    }
+
+    await scheme.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Grading scheme deleted'
+    });
+
+  } catch (error) {
+    console.error('Grading scheme delete error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete grading scheme',
+      details: error.message
+    });
+  }
+});
+
+// List Courses Endpoint
+app.get('/api/courses', async (req, res) => {
+  try {
+    const { year, semester, programme, q } = req.query;
+    const filter = {};
+
+    if (year) filter.year = Number(year);
+    if (semester) filter.semester = Number(semester);
+    if (programme) filter.programme = programme.toUpperCase();
+    if (q) {
+      const pattern = new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ code: pattern }, { title: pattern }];
+    }
+
+    const courses = await Course.find(filter).sort({ year: 1, semester: 1, code: 1 }).lean();
+
+    res.status(200).json({
+      success: true,
+      data: courses
+    });
+
+  } catch (error) {
+    console.error('Course listing error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch courses',
+      details: error.message
+    });
+  }
+});
+
+// Create Course Endpoint
+app.post('/api/courses', async (req, res) => {
+  try {
+    const errors = validateCourse(req.body);
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid course',
+        details: errors.join('; ')
+      });
+    }
+
+    const values = normalizeCourse(req.body);
+    if (await Course.exists({ code: values.code })) {
+      return res.status(409).json({
+        success: false,
+        error: `Course ${values.code} already exists`
+      });
+    }
+
+    const course = await Course.create(values);
+
+    res.status(201).json({
+      success: true,
+      message: 'Course created',
+      data: course
+    });
+
+  } catch (error) {
+    console.error('Course create error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create course',
+      details: error.message
+    });
+  }
+});
+
+// Import Courses Endpoint (CSV file or JSON list, upserted by code)
+app.post('/api/courses/import', csvUpload.single('courseFile'), async (req, res) => {
+  try {
+    const records = req.file
+      ? parseCsv(req.file.buffer.toString('utf8'))
+      : req.body.courses;
+
+    if (!Array.isArray(records) || records.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No courses to import'
+      });
+    }
+
+    const errors = records.flatMap((record, index) => (
+      validateCourse(record).map(error => `Row ${index + 1}: ${error}`)
+    ));
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid course data',
+        details: errors.join('; ')
+      });
+    }
+
+    const courses = records.map(normalizeCourse);
+    const result = await Course.bulkWrite(courses.map(course => ({
+      updateOne: {
+        filter: { code: course.code },
+        update: { $set: course },
+        upsert: true
+      }
+    })));
+
+    res.status(200).json({
+      success: true,
+      message: 'Courses imported successfully',
+      created: result.upsertedCount,
+      updated: result.modifiedCount
+    });
+
+  } catch (error) {
+    console.error('Course import error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Course import failed',
+      details: error.message
+    });
+  }
+});
+
+// Update Course Endpoint
+app.put('/api/courses/:id', async (req, res) => {
+  try {
+    const errors = validateCourse(req.body);
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid course',
+        details: errors.join('; ')
+      });
+    }
+
+    const values = normalizeCourse(req.body);
+    if (await Course.exists({ code: values.code, _id: { $ne: req.params.id } })) {
+      return res.status(409).json({
+        success: false,
+        error: `Course ${values.code} already exists`
+      });
+    }
+
+    const course = await Course.findByIdAndUpdate(req.params.id, values, { new: true });
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: 'Course not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Course updated',
+      data: course
+    });
+
+  } catch (error) {
+    console.error('Course update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update course',
+      details: error.message
+    });
+  }
+});
+
+// Delete Course Endpoint
+app.delete('/api/courses/:id', async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: 'Course not found'
+      });
+    }
+
+    if (await Result.exists({ 'courses.code': course.code })) {
+      return res.status(409).json({
+        success: false,
+        error: `Course ${course.code} has recorded results and cannot be deleted`
+      });
+    }
+
+    await course.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Course deleted'
+    });
+
+  } catch (error) {
+    console.error('Course delete error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete course',
+      details: error.message
+    });
+  }
+});
+
+// List Sheet Templates Endpoint
+app.get('/api/sheet-templates', async (req, res) => {
+  try {
+    const templates = await SheetTemplate.find().sort({ name: 1 }).lean();
+
+    res.status(200).json({
+      success: true,
+      data: templates
+    });
+
+  } catch (error) {
+    console.error('Sheet template listing error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch sheet templates',
+      details: error.message
+    });
+  }
+});
+
+// Create Sheet Template Endpoint
+app.post('/api/sheet-templates', async (req, res) => {
+  try {
+    const errors = validateSheetTemplate(req.body);
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid sheet template',
+        details: errors.join('; ')
+      });
+    }
+
+    const template = await SheetTemplate.create(normalizeSheetTemplate(req.body));
+
+    res.status(201).json({
+      success: true,
+      message: 'Sheet template created',
+      data: template
+    });
+
+  } catch (error) {
+    console.error('Sheet template create error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create sheet template',
+      details: error.message
+    });
+  }
+});
+
+// Update Sheet Template Endpoint
+app.put('/api/sheet-templates/:id', async (req, res) => {
+  try {
+    const errors = validateSheetTemplate(req.body);
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid sheet template',
+        details: errors.join('; ')
+      });
+    }
+
+    const template = await SheetTemplate.findByIdAndUpdate(
+      req.params.id,
+      normalizeSheetTemplate(req.body),
+      { new: true }
+    );
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sheet template not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Sheet template updated',
+      data: template
+    });
+
+  } catch (error) {
+    console.error('Sheet template update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update sheet template',
+      details: error.message
+    });
+  }
+});
+
+// Delete Sheet Template Endpoint
+app.delete('/api/sheet-templates/:id', async (req, res) => {
+  try {
+    const template = await SheetTemplate.findByIdAndDelete(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sheet template not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Sheet template deleted'
+    });
+
+  } catch (error) {
+    console.error('Sheet template delete error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete sheet template',
+      details: error.message
+    });
+  }
+});
+
+// Width of the step previews returned by the preprocessing debug endpoint
+const PREPROCESSING_PREVIEW_WIDTH = 1200;
+
+// Preprocessing Debug Endpoint (runs the pipeline on a sample sheet and
+// returns every intermediate image, so settings can be tuned per template)
+app.post('/api/preprocessing/debug', upload.single('resultSheet'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+
+  try {
+    if (!req.file.mimetype.startsWith('image/')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid sample',
+        details: 'Preprocessing can only be previewed on an image'
+      });
+    }
+
+    // Settings sent with the sample override the template's own
+    let overrides;
+    try {
+      overrides = req.body.preprocessing ? JSON.parse(req.body.preprocessing) : {};
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid preprocessing settings',
+        details: `Settings are not valid JSON: ${error.message}`
+      });
+    }
+
+    const errors = validatePreprocessing(overrides);
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid preprocessing settings',
+        details: errors.join('; ')
+      });
+    }
+
+    const template = await loadSheetTemplate(req.body.sheetTemplate);
+    const settings = preprocessingSettings({ ...template.preprocessing, ...overrides });
+
+    const steps = [];
+    let started = Date.now();
+    await preprocessImage(fs.readFileSync(req.file.path), settings, async (step, image, detail) => {
+      const elapsed = Date.now() - started;
+      const preview = await fromGrey(image)
+        .resize({ width: PREPROCESSING_PREVIEW_WIDTH, withoutEnlargement: true })
+        .png()
+        .toBuffer();
+
+      steps.push({
+        step,
+        width: image.width,
+        height: image.height,
+        detail,
+        ms: elapsed,
+        image: `data:image/png;base64,${preview.toString('base64')}`
+      });
+      started = Date.now();
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { settings, steps }
+    });
+
+  } catch (error) {
+    console.error('Preprocessing debug error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Preprocessing failed',
+      details: error.message
+    });
+  } finally {
+    fs.unlinkSync(req.file.path);
+  }
+});
+
+// List Programmes Endpoint
+app.get('/api/programmes', async (req, res) => {
+  try {
+    const programmes = await Programme.find().sort({ code: 1 }).lean();
+
+    res.status(200).json({
+      success: true,
+      data: programmes
+    });
+
+  } catch (error) {
+    console.error('Programme listing error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch programmes',
+      details: error.message
+    });
+  }
+});
+
+// Create Programme Endpoint
+app.post('/api/programmes', async (req, res) => {
+  try {
+    const errors = validateProgramme(req.body);
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid programme',
+        details: errors.join('; ')
+      });
+    }
+
+    const values = normalizeProgramme(req.body);
+    if (await Programme.exists({ code: values.code })) {
+      return res.status(409).json({
+        success: false,
+        error: `Programme ${values.code} already exists`
+      });
+    }
+
+    const programme = await Programme.create(values);
+
+    res.status(201).json({
+      success: true,
+      message: 'Programme created',
+      data: programme
+    });
+
+  } catch (error) {
+    console.error('Programme create error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create programme',
+      details: error.message
+    });
+  }
+});
+
+// Update Programme Endpoint
+app.put('/api/programmes/:id', async (req, res) => {
+  try {
+    const errors = validateProgramme(req.body);
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid programme',
+        details: errors.join('; ')
+      });
+    }
+
+    const programme = await Programme.findByIdAndUpdate(
+      req.params.id,
+      normalizeProgramme(req.body),
+      { new: true }
+    );
+
+    if (!programme) {
+      return res.status(404).json({
+        success: false,
+        error: 'Programme not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Programme updated',
+      data: programme
+    });
+
+  } catch (error) {
+    console.error('Programme update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update programme',
+      details: error.message
+    });
+  }
+});
+
+// Delete Programme Endpoint
+app.delete('/api/programmes/:id', async (req, res) => {
+  try {
+    const programme = await Programme.findByIdAndDelete(req.params.id);
+
+    if (!programme) {
+      return res.status(404).json({
+        success: false,
+        error: 'Programme not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Programme deleted'
+    });
+
+  } catch (error) {
+    console.error('Programme delete error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete programme',
+      details: error.message
+    });
+  }
+});
+
+// List Class Rule Sets Endpoint
+app.get('/api/class-rules', async (req, res) => {
+  try {
+    const ruleSets = await ClassRuleSet.find().sort({ name: 1 }).lean();
+
+    res.status(200).json({
+      success: true,
+      data: ruleSets
+    });
+
+  } catch (error) {
+    console.error('Class rule listing error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch class rules',
+      details: error.message
+    });
+  }
+});
+
+// Create Class Rule Set Endpoint
+app.post('/api/class-rules', async (req, res) => {
+  try {
+    const errors = validateClassRuleSet(req.body);
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid class rules',
+        details: errors.join('; ')
+      });
+    }
+
+    const values = normalizeClassRuleSet(req.body);
+    if (values.isDefault) {
+      await ClassRuleSet.updateMany({}, { isDefault: false });
+    }
+
+    const ruleSet = await ClassRuleSet.create(values);
+
+    res.status(201).json({
+      success: true,
+      message: 'Class rules created',
+      data: ruleSet
+    });
+
+  } catch (error) {
+    console.error('Class rule create error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create class rules',
+      details: error.message
+    });
+  }
+});
+
+// Update Class Rule Set Endpoint
+app.put('/api/class-rules/:id', async (req, res) => {
+  try {
+    const errors = validateClassRuleSet(req.body);
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid class rules',
+        details: errors.join('; ')
+      });
+    }
+
+    const values = normalizeClassRuleSet(req.body);
+    const current = await ClassRuleSet.findById(req.params.id);
+
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        error: 'Class rules not found'
+      });
+    }
+
+    // There must always be exactly one default rule set
+    if (current.isDefault && !values.isDefault) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid class rules',
+        details: 'Mark another rule set as default instead'
+      });
+    }
+
+    if (values.isDefault) {
+      await ClassRuleSet.updateMany({ _id: { $ne: current._id } }, { isDefault: false });
+    }
+
+    current.set(values);
+    await current.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Class rules updated',
+      data: current
+    });
+
+  } catch (error) {
+    console.error('Class rule update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update class rules',
+      details: error.message
+    });
+  }
+});
+
+// Delete Class Rule Set Endpoint
+app.delete('/api/class-rules/:id', async (req, res) => {
+  try {
+    const ruleSet = await ClassRuleSet.findById(req.params.id);
+
+    if (!ruleSet) {
+      return res.status(404).json({
+        success: false,
+        error: 'Class rules not found'
+      });
+    }
+
+    if (ruleSet.isDefault) {
+      return res.status(409).json({
+        success: false,
+        error: 'The default class rules cannot be deleted'
+      });
+    }
+
+    await ruleSet.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Class rules deleted'
+    });
+
+  } catch (error) {
+    console.error('Class rule delete error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete class rules',
+      details: error.message
+    });
+  }
+});
+
+// List Students Endpoint
+app.get('/api/students', async (req, res) => {
+  try {
+    const { q, status, conflicts } = req.query;
+    const filter = scopeFilter(req.query, 'intakeYear');
+
+    if (status) filter.status = status;
+    if (conflicts === 'true') filter['nameConflicts.0'] = { $exists: true };
+    if (q) {
+      const pattern = new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ indexNo: pattern }, { name: pattern }];
+    }
+
+    const students = await Student.find(filter).sort({ indexNo: 1 }).limit(500).lean();
+
+    res.status(200).json({
+      success: true,
+      data: students
+    });
+
+  } catch (error) {
+    console.error('Student listing error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch students',
+      details: error.message
+    });
+  }
+});
+
+// Update Student Endpoint (index numbers are fixed; clearConflicts resolves name conflicts)
+app.put('/api/students/:id', async (req, res) => {
+  try {
+    const errors = validateStudent(req.body);
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid student',
+        details: errors.join('; ')
+      });
+    }
+
+    const changes = normalizeStudent(req.body);
+    if (req.body.clearConflicts) {
+      changes.nameConflicts = [];
+    }
+
+    const student = await Student.findByIdAndUpdate(req.params.id, changes, { new: true });
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Student updated',
+      data: student
+    });
+
+  } catch (error) {
+    console.error('Student update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update student',
+      details: error.message
+    });
+  }
+});
+
+const CLASS_LIST_SORTS = ['rank', 'indexNo', 'name', 'finalGPA'];
+
+const CLASS_LIST_COLUMNS = [
+  ['rank', 'Rank'],
+  ['indexNo', 'Index No'],
+  ['name', 'Name'],
+  ['programme', 'Programme'],
+  ['intakeYear', 'Batch'],
+  ['finalGPA', 'Final GPA'],
+  ['finalClass', 'Class'],
+  ['status', 'Status']
+];
+
+// Students of a batch/programme ranked by final GPA. Equal GPAs share a rank
+// and the next rank skips ahead (1, 2, 2, 4); students without a final GPA
+// are listed last, unranked. Ranks are taken over the whole filtered cohort.
+const loadClassList = async (query) => {
+  const filter = scopeFilter(query, 'intakeYear');
+  if (query.finalClass) filter.finalClass = query.finalClass;
+  if (query.status) filter.status = query.status;
+
+  const students = await Student.find(filter)
+    .select('indexNo name programme intakeYear status finalGPA finalClass')
+    .lean();
+
+  const ranked = students
+    .filter(student => student.finalGPA != null)
+    .sort((a, b) => b.finalGPA - a.finalGPA || a.indexNo.localeCompare(b.indexNo));
+  ranked.forEach((student, index) => {
+    const previous = ranked[index - 1];
+    student.rank = previous && previous.finalGPA === student.finalGPA ? previous.rank : index + 1;
+  });
+
+  const unranked = students
+    .filter(student => student.finalGPA == null)
+    .sort((a, b) => a.indexNo.localeCompare(b.indexNo));
+
+  const list = [...ranked, ...unranked];
+  const sort = CLASS_LIST_SORTS.includes(query.sort) ? query.sort : 'rank';
+  const direction = query.order === 'desc' ? -1 : 1;
+
+  if (sort !== 'rank' || direction === -1) {
+    const value = (student) => student[sort === 'rank' ? 'finalGPA' : sort];
+    const rankDirection = sort === 'rank' ? -direction : direction;
+    list.sort((a, b) => {
+      const missing = (value(a) == null) - (value(b) == null);
+      if (missing || value(a) == null) return missing || a.indexNo.localeCompare(b.indexNo);
+      const order = typeof value(a) === 'string' ? value(a).localeCompare(value(b)) : value(a) - value(b);
+      return order * rankDirection || a.indexNo.localeCompare(b.indexNo);
+    });
+  }
+
+  return list;
+};
+
+// Class List Endpoint (ranked, paginated)
+app.get('/api/class-list', async (req, res) => {
+  try {
+    const errors = validateScope(req.query);
+    if (errors.length) return scopeErrorResponse(res, errors);
+
+    const list = await loadClassList(req.query);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+    const pages = Math.max(Math.ceil(list.length / limit), 1);
+    const page = Math.min(Math.max(parseInt(req.query.page) || 1, 1), pages);
+
+    res.status(200).json({
+      success: true,
+      data: list.slice((page - 1) * limit, page * limit),
+      total: list.length,
+      page,
+      pages,
+      limit
+    });
+
+  } catch (error) {
+    console.error('Class list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build class list',
+      details: error.message
+    });
+  }
+});
+
+// Class List Export Endpoint (format=csv or xlsx, same filters as the list)
+app.get('/api/class-list/export', async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    const errors = validateScope(req.query);
+
+    if (!['csv', 'xlsx'].includes(format)) {
+      errors.push(`Unknown export format '${format}'`);
+    }
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid export parameters',
+        details: errors.join('; ')
+      });
+    }
+
+    const list = await loadClassList(req.query);
+    const rows = list.map(student => CLASS_LIST_COLUMNS.map(([key]) => (
+      key === 'finalGPA' && student.finalGPA != null ? student.finalGPA.toFixed(2) : student[key] ?? ''
+    )));
+    const fileName = `class-list-${describeScope(req.query).replace(/\s+/g, '-')}.${format}`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      return res.send(toCsv([CLASS_LIST_COLUMNS.map(([, label]) => label), ...rows]));
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Class List');
+    sheet.columns = CLASS_LIST_COLUMNS.map(([key, label]) => ({ header: label, key, width: key === 'name' ? 32 : 14 }));
+    sheet.getRow(1).font = { bold: true };
+    list.forEach(student => sheet.addRow(student));
+    sheet.getColumn('finalGPA').numFmt = '0.00';
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    await workbook.xlsx.write(res);
+    res.end();
+
+  } catch (error) {
+    console.error('Class list export error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export class list',
+      details: error.message
+    });
+  }
+});
+
+// Load everything needed to score and classify students
+const loadCalculationContext = async () => {
+  const schemes = await GradingScheme.find().lean();
+  const defaultScheme = schemes.find(scheme => scheme.isDefault);
+
+  const students = await Student.find().select('indexNo name programme').lean();
+  const programmes = await Programme.find().lean();
+
+  return {
+    students: new Map(students.map(student => [student.indexNo, student])),
+    programmes,
+    ruleSets: await ClassRuleSet.find().lean(),
+    catalogue: await loadCourseCatalogue(),
+    // Results without a scheme predate grading schemes and use their
+    // programme's scheme, or the default
+    schemeFor: (result) => {
+      const id = result.gradingScheme
+        || programmes.find(programme => programme.code === result.programme)?.gradingScheme;
+      return schemes.find(scheme => id && scheme._id.equals(id)) || defaultScheme;
+    }
+  };
+};
+
+// Group results by student, re-scored against their current scheme and
+// credits, with the programme's repeat policy applied
+const scoreStudents = (results, { students: records, programmes, catalogue, schemeFor }) => {
+  const students = {};
+
+  results.forEach(result => {
+    if (!students[result.indexNo]) {
+      const record = records.get(result.indexNo);
+      students[result.indexNo] = {
+        name: record?.name || result.indexNo,
+        programme: record?.programme || programmeFromIndexNo(result.indexNo),
+        results: []
+      };
+    }
+    students[result.indexNo].results.push({
+      ...result,
+      ...scoreCourses(
+        applyCatalogue(result.courses, catalogue),
+        students[result.indexNo].name,
+        schemeFor(result)
+      )
+    });
+  });
+
+  Object.values(students).forEach(student => {
+    const programme = programmes.find(entry => entry.code === student.programme);
+    student.results = applyRepeatPolicy(student.results, programme, schemeFor);
+  });
+
+  return students;
+};
+
+// The programme's class rule set, or the default one
+const findRuleSet = (ruleSets, programmeCode) => {
+  const ruleSet = ruleSets.find(entry => entry.programme === programmeCode)
+    || ruleSets.find(entry => entry.isDefault);
+
+  if (!ruleSet) {
+    throw new Error('No default class rule set configured');
+  }
+
+  return ruleSet;
+};
+
+// Every sitting of one student grouped by year, with semester and cumulative
+// GPAs. Semester and cumulative figures are worked out from the attempts that
+// count under the repeat policy, so they agree with the final GPA.
+const buildTranscript = (indexNo, student, context) => {
+  const programme = context.programmes.find(entry => entry.code === student.programme);
+  const standing = computeStanding(student.results, programme);
+  const { finalClass, reason } = awardClass(
+    student.results,
+    standing.finalGPA,
+    findRuleSet(context.ruleSets, student.programme)
+  );
+  const running = { creditHours: 0, qualityPoints: 0, creditsEarned: 0 };
+  const years = {};
+
+  [...student.results]
+    .sort((a, b) => a.year - b.year || a.semester - b.semester)
+    .forEach(result => {
+      const totals = sumCredits(result.courses);
+      const creditsEarned = result.courses
+        .filter(course => course.passed && course.counted !== false)
+        .reduce((sum, course) => sum + course.creditHours, 0);
+
+      running.creditHours += totals.creditHours;
+      running.qualityPoints += totals.qualityPoints;
+      running.creditsEarned += creditsEarned;
+
+      const year = years[result.year] || { year: result.year, semesters: [] };
+      year.semesters.push({
+        semester: result.semester,
+        examSession: result.examSession,
+        courses: result.courses.map(course => ({
+          code: course.code,
+          title: context.catalogue.get(course.code)?.title,
+          grade: course.grade,
+          cappedFrom: course.cappedFrom,
+          marks: course.marks,
+          creditHours: course.creditHours,
+          gradePoints: course.gradePoints,
+          qualityPoints: course.qualityPoints,
+          passed: course.passed,
+          attempt: course.attempt,
+          counted: course.counted
+        })),
+        semesterGPA: totals.creditHours ? roundGPA(totals.qualityPoints / totals.creditHours) : 0,
+        creditHours: totals.creditHours,
+        creditsEarned,
+        cumulativeGPA: running.creditHours ? roundGPA(running.qualityPoints / running.creditHours) : 0
+      });
+      years[result.year] = year;
+    });
+
+  return {
+    indexNo,
+    name: student.name,
+    programme: student.programme,
+    method: standing.method,
+    years: standing.years.map(entry => ({
+      ...entry,
+      creditsEarned: years[entry.year].semesters.reduce((sum, semester) => sum + semester.creditsEarned, 0),
+      semesters: years[entry.year].semesters
+    })),
+    creditHours: standing.creditHours,
+    creditsEarned: running.creditsEarned,
+    cumulativeGPA: running.creditHours ? roundGPA(running.qualityPoints / running.creditHours) : 0,
+    finalGPA: standing.finalGPA,
+    finalClass,
+    finalClassReason: reason
+  };
+};
+
+// Transcript header and signature block; query parameters override these
+const TRANSCRIPT_SETTINGS = {
+  institution: process.env.TRANSCRIPT_INSTITUTION || 'University Examinations Office',
+  subtitle: process.env.TRANSCRIPT_SUBTITLE || '',
+  signatory: process.env.TRANSCRIPT_SIGNATORY || '',
+  signatoryTitle: process.env.TRANSCRIPT_SIGNATORY_TITLE || 'Registrar'
+};
+
+const transcriptSettings = (query) => ({
+  institution: query.institution || TRANSCRIPT_SETTINGS.institution,
+  subtitle: query.subtitle ?? TRANSCRIPT_SETTINGS.subtitle,
+  signatory: query.signatory ?? TRANSCRIPT_SETTINGS.signatory,
+  signatoryTitle: query.signatoryTitle || TRANSCRIPT_SETTINGS.signatoryTitle,
+  issueDate: query.issueDate ? new Date(query.issueDate) : new Date()
+});
+
+const TRANSCRIPT_COLUMNS = [
+  { key: 'code', label: 'Code', x: 50, width: 70 },
+  { key: 'title', label: 'Course Title', x: 120, width: 235 },
+  { key: 'grade', label: 'Grade', x: 355, width: 50 },
+  { key: 'creditHours', label: 'Credits', x: 405, width: 60 },
+  { key: 'qualityPoints', label: 'Quality Pts', x: 465, width: 80 }
+];
+
+// Start a new page when fewer than `height` points remain above the footer
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom - 20) {
+    doc.addPage();
+  }
+};
+
+const writeTranscriptRow = (doc, values, font) => {
+  ensureSpace(doc, 16);
+  const y = doc.y;
+  doc.font(font).fontSize(9);
+  TRANSCRIPT_COLUMNS.forEach(column => {
+    doc.text(String(values[column.key] ?? ''), column.x, y, { width: column.width, lineBreak: false, ellipsis: true });
+  });
+  doc.x = doc.page.margins.left;
+  doc.y = y + 14;
+};
+
+// Draw one student's transcript on its own page(s) of the document
+const renderTranscript = (doc, transcript, settings) => {
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+
+  doc.font('Helvetica-Bold').fontSize(16).text(settings.institution, { align: 'center' });
+  if (settings.subtitle) {
+    doc.font('Helvetica').fontSize(10).text(settings.subtitle, { align: 'center' });
+  }
+  doc.moveDown(0.5);
+  doc.font('Helvetica-Bold').fontSize(13).text('Academic Transcript', { align: 'center' });
+  doc.moveTo(left, doc.y + 4).lineTo(right, doc.y + 4).stroke();
+  doc.moveDown();
+
+  doc.font('Helvetica').fontSize(10);
+  doc.text(`Name: ${transcript.name}`);
+  doc.text(`Index No: ${transcript.indexNo}`);
+  doc.text(`Programme: ${transcript.programme || '-'}`);
+  doc.text(`Date of issue: ${settings.issueDate.toISOString().slice(0, 10)}`);
+  doc.moveDown();
+
+  transcript.years.forEach(year => {
+    ensureSpace(doc, 60);
+    doc.font('Helvetica-Bold').fontSize(11)
+      .text(`Year ${year.year}    GPA ${year.gpa.toFixed(2)}    Credits earned ${year.creditsEarned}`, left);
+    doc.moveDown(0.3);
+
+    year.semesters.forEach(semester => {
+      ensureSpace(doc, 80);
+      doc.font('Helvetica-Oblique').fontSize(10).text(
+        `Semester ${semester.semester}${semester.examSession ? ` (${semester.examSession})` : ''}`
+          + `    Semester GPA ${semester.semesterGPA.toFixed(2)}    Cumulative GPA ${semester.cumulativeGPA.toFixed(2)}`,
+        left
+      );
+      doc.moveDown(0.2);
+
+      writeTranscriptRow(doc, Object.fromEntries(
+        TRANSCRIPT_COLUMNS.map(column => [column.key, column.label])
+      ), 'Helvetica-Bold');
+      semester.courses.forEach(course => {
+        writeTranscriptRow(doc, {
+          ...course,
+          title: course.title || '',
+          grade: course.cappedFrom ? `${course.grade} (${course.cappedFrom})` : course.grade,
+          qualityPoints: course.counted === false ? 'Superseded' : course.qualityPoints.toFixed(2)
+        }, 'Helvetica');
+      });
+      doc.moveDown(0.5);
+    });
+  });
+
+  ensureSpace(doc, 140);
+  doc.moveTo(left, doc.y).lineTo(right, doc.y).stroke();
+  doc.moveDown(0.5);
+  doc.font('Helvetica-Bold').fontSize(11);
+  doc.text(`Total credits earned: ${transcript.creditsEarned}`, left);
+  doc.text(`Final GPA: ${transcript.finalGPA.toFixed(2)}`);
+  doc.text(`Class: ${transcript.finalClass}`);
+
+  doc.moveDown(3);
+  const signatureY = doc.y;
+  doc.moveTo(right - 200, signatureY).lineTo(right, signatureY).stroke();
+  doc.font('Helvetica').fontSize(10);
+  if (settings.signatory) {
+    doc.text(settings.signatory, right - 200, signatureY + 5, { width: 200, align: 'center' });
+  } else {
+    doc.y = signatureY + 5;
+  }
+  doc.text(settings.signatoryTitle, right - 200, doc.y, { width: 200, align: 'center' });
+  doc.x = left;
+};
+
+// Stream transcripts as one PDF, each student starting on a new page
+const sendTranscriptPdf = (res, transcripts, settings, fileName) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  doc.pipe(res);
+
+  transcripts.forEach((transcript, index) => {
+    if (index > 0) doc.addPage();
+    renderTranscript(doc, transcript, settings);
+  });
+
+  doc.end();
+};
+
+const pdfFileName = (value) => `transcript-${value.replace(/[^\w-]+/g, '-')}.pdf`;
+
+// Calculate Final GPA Endpoint
+app.post('/api/calculate-final', async (req, res) => {
+  try {
+    const scope = { ...req.query, ...req.body };
+    const errors = validateScope(scope);
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid batch or programme',
+        details: errors.join('; ')
+      });
+    }
+
+    // Only the selected batch/programme is recalculated
+    const allResults = await Result.find(scopeFilter(scope)).sort({ _id: 1 }).lean();
+    const context = await loadCalculationContext();
+    const { programmes, ruleSets } = context;
+    const students = scoreStudents(allResults, context);
+
+    const breakdowns = [];
+
+    // Process each student
+    for (const [indexNo, student] of Object.entries(students)) {
+      const programmeCode = student.programme;
+      const programme = programmes.find(entry => entry.code === programmeCode);
+      const standing = computeStanding(student.results, programme);
+      const { finalGPA } = standing;
+
+      // Calculate final class with the programme's rule set, or the default one
+      const ruleSet = findRuleSet(ruleSets, programmeCode);
+      const { finalClass, reason } = awardClass(student.results, finalGPA, ruleSet);
+
+      // Final standing lives on the student record
+      await Student.updateOne(
+        { indexNo },
+        {
+          $set: {
+            yearGPA: Object.fromEntries(standing.years.map(year => [year.year, year.gpa])),
+            finalGPA,
+            finalClass,
+            finalClassReason: reason
+          },
+          $setOnInsert: {
+            name: student.name,
+            programme: programmeCode,
+            intakeYear: intakeYearFromIndexNo(indexNo)
+          }
+        },
+        { upsert: true }
+      );
+
+      breakdowns.push({
+        indexNo,
+        name: student.name,
+        programme: programmeCode,
+        ...standing,
+        finalClass,
+        finalClassReason: reason
+      });
+    }
+
+    res.status(200).json({ 
+      success: true,
+      message: `Final GPA calculated for ${describeScope(scope)}`,
+      data: breakdowns
+    });
+
+  } catch (error) {
+    console.error('GPA calculation error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'GPA calculation failed',
+      details: error.message
+    });
+  }
+});
+
+// Student Attempt History Endpoint
+app.get('/api/student/:indexNo/attempts', async (req, res) => {
+  try {
+    const results = await Result.find({ indexNo: req.params.indexNo }).sort({ _id: 1 }).lean();
+
+    if (!results.length) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student not found'
+      });
+    }
+
+    const context = await loadCalculationContext();
+    const student = scoreStudents(results, context)[req.params.indexNo];
+    const programme = context.programmes.find(entry => entry.code === student.programme);
+    const history = {};
+
+    student.results.forEach(result => {
+      result.courses.forEach(course => {
+        (history[course.code] = history[course.code] || []).push({
+          attempt: course.attempt,
+          examSession: course.examSession,
+          year: result.year,
+          semester: result.semester,
+          grade: course.grade,
+          cappedFrom: course.cappedFrom,
+          gradePoints: course.gradePoints,
+          counted: course.counted
+        });
+      });
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        repeatPolicy: programme?.repeatPolicy || 'best',
+        courses: Object.entries(history)
+          .map(([code, attempts]) => ({
+            code,
+            attempts: attempts.sort((a, b) => a.attempt - b.attempt)
+          }))
+          .sort((a, b) => a.code.localeCompare(b.code))
+      }
+    });
+
+  } catch (error) {
+    console.error('Attempt history error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch attempt history',
+      details: error.message
+    });
+  }
+});
+
+// Student Transcript Endpoint
+app.get('/api/student/:indexNo/transcript', async (req, res) => {
+  try {
+    const results = await Result.find({ indexNo: req.params.indexNo }).sort({ _id: 1 }).lean();
+
+    if (!results.length) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student not found'
+      });
+    }
+
+    const context = await loadCalculationContext();
+    const student = scoreStudents(results, context)[req.params.indexNo];
+
+    res.status(200).json({
+      success: true,
+      data: buildTranscript(req.params.indexNo, student, context)
+    });
+
+  } catch (error) {
+    console.error('Transcript error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build transcript',
+      details: error.message
+    });
+  }
+});
+
+// Student Transcript PDF Endpoint
+app.get('/api/student/:indexNo/transcript/pdf', async (req, res) => {
+  try {
+    const results = await Result.find({ indexNo: req.params.indexNo }).sort({ _id: 1 }).lean();
+
+    if (!results.length) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student not found'
+      });
+    }
+
+    const settings = transcriptSettings(req.query);
+    if (Number.isNaN(settings.issueDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid issue date '${req.query.issueDate}'`
+      });
+    }
+
+    const context = await loadCalculationContext();
+    const student = scoreStudents(results, context)[req.params.indexNo];
+
+    sendTranscriptPdf(
+      res,
+      [buildTranscript(req.params.indexNo, student, context)],
+      settings,
+      pdfFileName(req.params.indexNo)
+    );
+
+  } catch (error) {
+    console.error('Transcript PDF error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate transcript',
+      details: error.message
+    });
+  }
+});
+
+// Batch Transcript PDF Endpoint (every student of an intake batch and/or programme)
+app.get('/api/transcripts/pdf', async (req, res) => {
+  try {
+    const errors = validateScope(req.query);
+    const filter = scopeFilter(req.query);
+    const settings = transcriptSettings(req.query);
+
+    if (errors.length || !Object.keys(filter).length) {
+      return res.status(400).json({
+        success: false,
+        error: 'A batch or programme is required',
+        details: errors.join('; ')
+      });
+    }
+
+    if (Number.isNaN(settings.issueDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid issue date '${req.query.issueDate}'`
+      });
+    }
+
+    const results = await Result.find(filter).sort({ _id: 1 }).lean();
+
+    if (!results.length) {
+      return res.status(404).json({
+        success: false,
+        error: `No results found for ${describeScope(req.query)}`
+      });
+    }
+
+    const context = await loadCalculationContext();
+    const transcripts = Object.entries(scoreStudents(results, context))
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([indexNo, student]) => buildTranscript(indexNo, student, context));
+
+    sendTranscriptPdf(res, transcripts, settings, pdfFileName(describeScope(req.query)));
+
+  } catch (error) {
+    console.error('Batch transcript error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate transcripts',
+      details: error.message
+    });
+  }
+});
+
+// Width of the final GPA histogram bins
+const GPA_BIN_WIDTH = 0.5;
+
+const scopeErrorResponse = (res, errors) => res.status(400).json({
+  success: false,
+  error: 'Invalid batch or programme',
+  details: errors.join('; ')
+});
+
+// Count each grade of each course under each grading scheme and programme, and
+// per sitting (batch, programme and exam session) when asked
+const countGrades = (match, bySitting = false) => Result.aggregate([
+  { $match: match },
+  { $unwind: '$courses' },
+  {
+    $group: {
+      _id: {
+        code: '$courses.code',
+        grade: '$courses.grade',
+        scheme: '$gradingScheme',
+        programme: '$programme',
+        ...(bySitting && { batch: '$batch', examSession: '$examSession' })
+      },
+      count: { $sum: 1 }
+    }
+  }
+]);
+
+// Course Grade Distribution Endpoint (grade counts and pass rates per course)
+app.get('/api/analytics/course-grades', async (req, res) => {
+  try {
+    const errors = validateScope(req.query);
+    if (errors.length) return scopeErrorResponse(res, errors);
+
+    const filter = scopeFilter(req.query);
+    if (req.query.year) filter.year = Number(req.query.year);
+    if (req.query.semester) filter.semester = Number(req.query.semester);
+
+    const { catalogue, schemeFor } = await loadCalculationContext();
+    const courses = summarizeGrades(await countGrades(filter), schemeFor);
+
+    res.status(200).json({
+      success: true,
+      data: courses.map(course => ({ ...course, title: catalogue.get(course.code)?.title }))
+    });
+
+  } catch (error) {
+    console.error('Course grade analytics error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build course grade distribution',
+      details: error.message
+    });
+  }
+});
+
+// GPA Distribution Endpoint (final GPA histogram per batch)
+app.get('/api/analytics/gpa-distribution', async (req, res) => {
+  try {
+    const errors = validateScope(req.query);
+    if (errors.length) return scopeErrorResponse(res, errors);
+
+    const maxBin = 4 - GPA_BIN_WIDTH;
+    const counts = await Student.aggregate([
+      { $match: { ...scopeFilter(req.query, 'intakeYear'), finalGPA: { $ne: null } } },
+      {
+        $group: {
+          _id: {
+            batch: '$intakeYear',
+            // Lower edge of the bin; 4.0 falls into the top bin
+            bin: {
+              $min: [
+                { $multiply: [{ $floor: { $divide: ['$finalGPA', GPA_BIN_WIDTH] } }, GPA_BIN_WIDTH] },
+                maxBin
+              ]
+            }
+          },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { '_id.batch': 1 } }
+    ]);
+
+    const bins = [];
+    for (let edge = 0; edge <= maxBin; edge += GPA_BIN_WIDTH) bins.push(edge);
+
+    const batches = {};
+    counts.forEach(({ _id, count }) => {
+      const batch = batches[_id.batch] || { batch: _id.batch, counts: bins.map(() => 0) };
+      batch.counts[bins.indexOf(_id.bin)] += count;
+      batches[_id.batch] = batch;
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        bins: bins.map(edge => `${edge.toFixed(1)}-${(edge + GPA_BIN_WIDTH).toFixed(1)}`),
+        batches: Object.values(batches)
+      }
+    });
+
+  } catch (error) {
+    console.error('GPA distribution error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build GPA distribution',
+      details: error.message
+    });
+  }
+});
+
+// Class Award Breakdown Endpoint (students per final class and batch)
+app.get('/api/analytics/class-awards', async (req, res) => {
+  try {
+    const errors = validateScope(req.query);
+    if (errors.length) return scopeErrorResponse(res, errors);
+
+    const counts = await Student.aggregate([
+      { $match: { ...scopeFilter(req.query, 'intakeYear'), finalClass: { $ne: null } } },
+      { $group: { _id: { batch: '$intakeYear', finalClass: '$finalClass' }, count: { $sum: 1 } } },
+      { $sort: { '_id.batch': 1 } }
+    ]);
+
+    // Order classes as the rule sets list them, best first
+    const ruleSets = await ClassRuleSet.find().lean();
+    const order = [...new Set(ruleSets.flatMap(ruleSet => [
+      ...ruleSet.classes.map(entry => entry.name),
+      ruleSet.failClass
+    ]))];
+    const classes = [...new Set(counts.map(({ _id }) => _id.finalClass))]
+      .sort((a, b) => (order.indexOf(a) + 1 || Infinity) - (order.indexOf(b) + 1 || Infinity));
+
+    const batches = {};
+    counts.forEach(({ _id, count }) => {
+      const batch = batches[_id.batch] || { batch: _id.batch, counts: {} };
+      batch.counts[_id.finalClass] = count;
+      batches[_id.batch] = batch;
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { classes, batches: Object.values(batches) }
+    });
+
+  } catch (error) {
+    console.error('Class award analytics error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build class award breakdown',
+      details: error.message
+    });
+  }
+});
+
+// Year Comparison Endpoint (average semester GPA per study year, batch against batch)
+app.get('/api/analytics/year-comparison', async (req, res) => {
+  try {
+    const errors = validateScope(req.query);
+    if (errors.length) return scopeErrorResponse(res, errors);
+
+    const averages = await Result.aggregate([
+      { $match: { ...scopeFilter(req.query), semesterGPA: { $ne: null } } },
+      {
+        $group: {
+          _id: { batch: '$batch', year: '$year' },
+          averageGPA: { $avg: '$semesterGPA' },
+          students: { $addToSet: '$indexNo' }
+        }
+      },
+      { $sort: { '_id.batch': 1, '_id.year': 1 } }
+    ]);
+    const finals = await Student.aggregate([
+      { $match: { ...scopeFilter(req.query, 'intakeYear'), finalGPA: { $ne: null } } },
+      { $group: { _id: '$intakeYear', averageGPA: { $avg: '$finalGPA' }, students: { $sum: 1 } } }
+    ]);
+
+    const batches = {};
+    averages.forEach(({ _id, averageGPA, students }) => {
+      const batch = batches[_id.batch] || { batch: _id.batch, years: [] };
+      batch.years.push({ year: _id.year, averageGPA: roundGPA(averageGPA), students: students.length });
+      batches[_id.batch] = batch;
+    });
+    finals.forEach(({ _id, averageGPA, students }) => {
+      if (!batches[_id]) return;
+      batches[_id].finalGPA = roundGPA(averageGPA);
+      batches[_id].classified = students;
+    });
+
+    res.status(200).json({
+      success: true,
+      data: Object.values(batches)
+    });
+
+  } catch (error) {
+    console.error('Year comparison error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build year comparison',
+      details: error.message
+    });
+  }
+});
+
+// Course Moderation Report Endpoint (one year/semester against each course's history)
+app.get('/api/reports/moderation', async (req, res) => {
+  try {
+    const { year, semester } = req.query;
+    const errors = validateScope(req.query);
+
+    if (!Number.isInteger(Number(year)) || !Number.isInteger(Number(semester))) {
+      errors.push('Year and semester are required');
+    }
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid report parameters',
+        details: errors.join('; ')
+      });
+    }
+
+    // Batch, programme and exam session of the sittings being reported
+    const reported = scopeFilter(req.query);
+    if (req.query.examSession) reported.examSession = req.query.examSession;
+    const period = { year: Number(year), semester: Number(semester) };
+
+    const { catalogue, schemeFor } = await loadCalculationContext();
+    const courses = moderateCourses(await countGrades(period, true), reported, schemeFor)
+      .map(course => ({ ...course, title: catalogue.get(course.code)?.title }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        year: Number(year),
+        semester: Number(semester),
+        flagged: courses.filter(course => course.flags.length).length,
+        courses
+      }
+    });
+
+  } catch (error) {
+    console.error('Moderation report error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build moderation report',
       details: error.message
     });
   }
@@ -283,6 +5353,7 @@ app.get('/api/student/:indexNo', async (req, res) => {
   try {
     const result = await Result.findOne({ indexNo: req.params.indexNo })
       .sort({ _id: -1 })
+      .populate('student')
       .lean();
 
     if (!result) {
@@ -1,45 +1,263 @@
-import React, { useState } from 'react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
 import axios from 'axios';
 import { useDropzone } from 'react-dropzone';
 import { ToastContainer, toast } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
+import {
+  Chart as ChartJS,
+  ArcElement,
+  BarElement,
+  CategoryScale,
+  Legend,
+  LinearScale,
+  LineElement,
+  PointElement,
+  Tooltip
+} from 'chart.js';
 import { Doughnut } from 'react-chartjs-2';
+import DraftReview from './components/DraftReview';
+import GradingSchemes from './components/GradingSchemes';
+import CourseCatalogue from './components/CourseCatalogue';
+import SheetTemplates from './components/SheetTemplates';
+import Programmes from './components/Programmes';
+import ClassRules from './components/ClassRules';
+import AttemptHistory from './components/AttemptHistory';
+import Transcript from './components/Transcript';
+import Students from './components/Students';
+import CohortDashboard from './components/CohortDashboard';
+import ModerationReport from './components/ModerationReport';
+import ClassList from './components/ClassList';
+import ColumnMapping from './components/ColumnMapping';
+import UploadJobs from './components/UploadJobs';
+import IMPORT_MODES from './importModes.json';
+
+ChartJS.register(ArcElement, BarElement, CategoryScale, Legend, LinearScale, LineElement, PointElement, Tooltip);
+
+const VIEWS = [
+  ['results', 'Results'],
+  ['students', 'Students'],
+  ['classList', 'Class List'],
+  ['dashboard', 'Dashboard'],
+  ['moderation', 'Moderation'],
+  ['grading', 'Grading Schemes'],
+  ['courses', 'Courses'],
+  ['templates', 'Sheet Templates'],
+  ['programmes', 'Programmes'],
+  ['classRules', 'Class Rules']
+];
+
+// Announce a finished job with the same warnings a direct upload gives
+const reportJob = (job) => {
+  if (job.status === 'failed') {
+    if (job.result?.needsMapping) {
+      toast.info(`${job.fileName}: columns need to be mapped`);
+    } else {
+      toast.error(`${job.fileName}: ${job.error}`);
+    }
+    return;
+  }
+
+  const { count, invalid, issues, corrections, lowConfidence, pages, nameConflicts, duplicateOf } = job.result;
+  toast.success(`${job.fileName}: ${count} rows extracted, please review before saving`);
+  if (invalid) {
+    toast.warn(`${job.fileName}: ${invalid} rows have errors to correct before they can be saved`);
+  }
+  if (corrections?.length) {
+    toast.info(`${job.fileName}: ${corrections.length} OCR misreads were corrected automatically`);
+  }
+  const skipped = issues?.filter(issue => issue.severity === 'warning').length;
+  if (skipped) {
+    toast.info(`${job.fileName}: ${skipped} lines were not read as student rows`);
+  }
+  if (lowConfidence?.length) {
+    toast.warn(`${job.fileName}: ${lowConfidence.length} cells were read with low confidence`);
+  }
+  pages
+    ?.filter(page => page.status === 'failed')
+    .forEach(page => toast.warn(`${job.fileName}: page ${page.page} could not be read: ${page.error}`));
+  if (nameConflicts?.length) {
+    toast.warn(`${job.fileName}: ${nameConflicts.length} names differ from the student records`);
+  }
+  if (duplicateOf) {
+    toast.warn(`${job.fileName} was already uploaded as ${duplicateOf.fileName}`);
+  }
+};
 
 function App() {
   const [files, setFiles] = useState([]);
   const [semester, setSemester] = useState(1);
   const [year, setYear] = useState(1);
+  const [examSession, setExamSession] = useState('');
   const [indexNo, setIndexNo] = useState('');
   const [studentResult, setStudentResult] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
+  const [draft, setDraft] = useState(null);
+  const [pendingDrafts, setPendingDrafts] = useState([]);
+  const [view, setView] = useState('results');
+  const [gradingSchemes, setGradingSchemes] = useState([]);
+  const [gradingScheme, setGradingScheme] = useState('');
+  const [sheetTemplates, setSheetTemplates] = useState([]);
+  const [sheetTemplate, setSheetTemplate] = useState('');
+  const [importMode, setImportMode] = useState('reject');
+  const [batch, setBatch] = useState('');
+  const [programmes, setProgrammes] = useState([]);
+  const [programme, setProgramme] = useState('');
+  const [mapping, setMapping] = useState(null);
+  const [jobs, setJobs] = useState([]);
+  const [jobProgress, setJobProgress] = useState({});
+  // Files kept by job so a spreadsheet can be sent again once its columns are mapped
+  const jobFiles = useRef(new Map());
+
+  const loadPendingDrafts = useCallback(async () => {
+    try {
+      const response = await axios.get(
+        `${import.meta.env.VITE_API_URL}/api/drafts`
+      );
+      setPendingDrafts(response.data.data);
+    } catch (error) {
+      console.error('Draft listing error:', error);
+    }
+  }, []);
+
+  const loadGradingSchemes = useCallback(async () => {
+    try {
+      const response = await axios.get(
+        `${import.meta.env.VITE_API_URL}/api/grading-schemes`
+      );
+      setGradingSchemes(response.data.data);
+    } catch (error) {
+      console.error('Grading scheme listing error:', error);
+    }
+  }, []);
+
+  const loadSheetTemplates = useCallback(async () => {
+    try {
+      const response = await axios.get(
+        `${import.meta.env.VITE_API_URL}/api/sheet-templates`
+      );
+      setSheetTemplates(response.data.data);
+    } catch (error) {
+      console.error('Sheet template listing error:', error);
+    }
+  }, []);
+
+  const loadProgrammes = useCallback(async () => {
+    try {
+      const response = await axios.get(
+        `${import.meta.env.VITE_API_URL}/api/programmes`
+      );
+      setProgrammes(response.data.data);
+    } catch (error) {
+      console.error('Programme listing error:', error);
+    }
+  }, []);
+
+  const loadJobs = useCallback(async () => {
+    try {
+      const response = await axios.get(
+        `${import.meta.env.VITE_API_URL}/api/upload-jobs`,
+        { params: { limit: 20 } }
+      );
+      setJobs(response.data.data);
+    } catch (error) {
+      console.error('Upload job listing error:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPendingDrafts();
+    loadGradingSchemes();
+    loadSheetTemplates();
+    loadProgrammes();
+    loadJobs();
+  }, [loadPendingDrafts, loadGradingSchemes, loadSheetTemplates, loadProgrammes, loadJobs]);
+
+  // Stage progress and row warnings stream in while jobs run. The server
+  // replays running jobs on every (re)connect, and the list is reloaded in
+  // case a job finished while the stream was down.
+  useEffect(() => {
+    const source = new EventSource(`${import.meta.env.VITE_API_URL}/api/upload-jobs/events`);
+
+    source.onopen = () => {
+      setJobProgress({});
+      loadJobs();
+    };
+
+    source.onmessage = (message) => {
+      const event = JSON.parse(message.data);
+
+      if (event.type === 'done') {
+        setJobs(current => current.map(job => (job._id === event.jobId ? event.job : job)));
+        reportJob(event.job);
+        loadPendingDrafts();
+        return;
+      }
+
+      setJobs(current => current.map(job => (
+        job._id === event.jobId && job.status === 'queued' ? { ...job, status: 'processing' } : job
+      )));
+      setJobProgress(current => {
+        const state = current[event.jobId] || { warnings: [] };
+        return {
+          ...current,
+          [event.jobId]: event.type === 'warning'
+            ? { ...state, warnings: [...state.warnings, event] }
+            : { ...state, progress: event }
+        };
+      });
+    };
+
+    return () => source.close();
+  }, [loadJobs, loadPendingDrafts]);
+
+  // Batch and programme selected in the upload form also scope calculations
+  const scope = {
+    ...(batch && { batch }),
+    ...(programme && { programme })
+  };
 
   const { getRootProps, getInputProps } = useDropzone({
     accept: {
-      'image/*': ['.png', '.jpg', '.jpeg']
+      'image/*': ['.png', '.jpg', '.jpeg'],
+      'application/pdf': ['.pdf'],
+      'text/csv': ['.csv'],
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx']
     },
-    maxFiles: 1,
+    maxFiles: 50,
     onDrop: acceptedFiles => {
-      setFiles(acceptedFiles.map(file => Object.assign(file, {
+      setFiles([...files, ...acceptedFiles.map(file => Object.assign(file, {
         preview: URL.createObjectURL(file)
-      })));
+      }))]);
     }
   });
 
-  const handleSubmit = async () => {
-    if (files.length === 0) {
-      toast.error('Please upload result sheet image');
+  // Sheets are queued on the server; progress arrives through the job list
+  const handleSubmit = async (templateId = sheetTemplate, selected = files) => {
+    if (selected.length === 0) {
+      toast.error('Please upload result sheet images, PDFs or spreadsheets');
       return;
     }
 
     setIsLoading(true);
     const formData = new FormData();
-    formData.append('resultSheet', files[0]);
+    selected.forEach(file => formData.append('resultSheets', file));
     formData.append('semester', semester);
     formData.append('year', year);
+    if (examSession) {
+      formData.append('examSession', examSession);
+    }
+    if (gradingScheme) {
+      formData.append('gradingScheme', gradingScheme);
+    }
+    if (templateId) {
+      formData.append('sheetTemplate', templateId);
+    }
+    formData.append('importMode', importMode);
+    Object.entries(scope).forEach(([key, value]) => formData.append(key, value));
 
     try {
       const response = await axios.post(
-        `${import.meta.env.VITE_API_URL}/api/upload`,
+        `${import.meta.env.VITE_API_URL}/api/upload/bulk`,
         formData,
         {
           headers: {
@@ -49,8 +267,9 @@ function App() {
       );
       
       toast.success(response.data.message);
-      setFiles([]);
-      console.log('Upload successful:', response.data);
+      response.data.data.forEach((job, index) => jobFiles.current.set(job._id, selected[index]));
+      setJobs(current => [...response.data.data, ...current]);
+      if (selected === files) setFiles([]);
       
     } catch (error) {
       console.error('Upload error:', error);
@@ -64,16 +283,51 @@ function App() {
     }
   };
 
+  const handleResumeDraft = async (id) => {
+    try {
+      const response = await axios.get(
+        `${import.meta.env.VITE_API_URL}/api/drafts/${id}`
+      );
+      setDraft(response.data.data);
+    } catch (error) {
+      console.error('Draft lookup error:', error);
+      toast.error(error.response?.data?.error || 'Error loading draft');
+    }
+  };
+
+  // A spreadsheet layout seen for the first time is mapped, then queued again
+  const handleMapColumns = (job) => {
+    setMapping({ ...job.result, fileName: job.fileName, jobId: job._id });
+  };
+
+  const handleMappingSaved = (template) => {
+    const file = jobFiles.current.get(mapping.jobId);
+    loadSheetTemplates();
+    setMapping(null);
+
+    if (file) {
+      handleSubmit(template._id, [file]);
+    } else {
+      toast.info('Mapping saved. Upload the spreadsheet again to use it');
+    }
+  };
+
+  const handleCloseDraft = () => {
+    setDraft(null);
+    loadPendingDrafts();
+  };
+
   const handleCalculateFinal = async () => {
     try {
       setIsLoading(true);
       const response = await axios.post(
-        `${import.meta.env.VITE_API_URL}/api/calculate-final`
+        `${import.meta.env.VITE_API_URL}/api/calculate-final`,
+        scope
       );
-      toast.success(response.data.message);
+      toast.success(`${response.data.message} (${response.data.data.length} students)`);
     } catch (error) {
       console.error('Calculation error:', error);
-      toast.error(error.response?.data?.error || 'Error calculating final GPA');
+      toast.error(error.response?.data?.details || error.response?.data?.error || 'Error calculating final GPA');
     } finally {
       setIsLoading(false);
     }
@@ -88,7 +342,7 @@ function App() {
     setIsLoading(true);
     try {
       const response = await axios.get(
-        `${import.meta.env.VITE_API_URL}/api/student/${indexNo}`
+        `${import.meta.env.VITE_API_URL}/api/student/${encodeURIComponent(indexNo)}/transcript`
       );
       
       if (response.data.success) {
@@ -106,15 +360,54 @@ function App() {
     }
   };
 
+  // Fetch a generated PDF and hand it to the browser as a download
+  const downloadPdf = async (url, params, fileName) => {
+    setIsLoading(true);
+    try {
+      const response = await axios.get(url, { params, responseType: 'blob' });
+      const href = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = href;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(href);
+    } catch (error) {
+      console.error('Transcript download error:', error);
+      const details = error.response?.data instanceof Blob
+        ? await error.response.data.text().then(text => JSON.parse(text).error).catch(() => null)
+        : null;
+      toast.error(details || 'Error generating transcript');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleDownloadTranscript = () => downloadPdf(
+    `${import.meta.env.VITE_API_URL}/api/student/${encodeURIComponent(studentResult.indexNo)}/transcript/pdf`,
+    {},
+    `transcript-${studentResult.indexNo.replace(/\W+/g, '-')}.pdf`
+  );
+
+  const handleDownloadBatch = () => {
+    if (!batch && !programme) {
+      toast.error('Please select a batch or programme');
+      return;
+    }
+
+    downloadPdf(
+      `${import.meta.env.VITE_API_URL}/api/transcripts/pdf`,
+      scope,
+      `transcripts-${[batch, programme].filter(Boolean).join('-')}.pdf`
+    );
+  };
+
   // GPA Chart Data
   const gpaChartData = {
-    labels: ['First Year', 'Second Year', 'Third Year'],
+    labels: studentResult?.years.map(year => `Year ${year.year}`) || ['First Year', 'Second Year', 'Third Year'],
     datasets: [{
-      data: studentResult?.yearGPA 
-        ? Object.values(studentResult.yearGPA).map(gpa => parseFloat(gpa.toFixed(2)))
-        : [0, 0, 0],
-      backgroundColor: ['#FF6384', '#36A2EB', '#FFCE56'],
-      hoverBackgroundColor: ['#FF6384', '#36A2EB', '#FFCE56']
+      data: studentResult?.years.map(year => year.gpa) || [0, 0, 0],
+      backgroundColor: ['#FF6384', '#36A2EB', '#FFCE56', '#4BC0C0'],
+      hoverBackgroundColor: ['#FF6384', '#36A2EB', '#FFCE56', '#4BC0C0']
     }]
   };
 
@@ -127,188 +420,363 @@ function App() {
           University Result Processing System
         </h1>
         
-        {/* Upload Section */}
-        <div className="bg-white rounded-lg shadow-md p-6 mb-8">
-          <h2 className="text-xl font-semibold mb-4">Upload Result Sheet</h2>
+        {/* Navigation */}
+        <div className="flex flex-wrap gap-2 mb-8 justify-center">
+          {VIEWS.map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setView(key)}
+              className={`px-4 py-2 rounded transition-colors ${
+                view === key ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {view === 'results' && (
+          <>
+          {/* Upload Section */}
+          <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+            <h2 className="text-xl font-semibold mb-4">Upload Result Sheet</h2>
           
-          <div className="flex flex-wrap gap-4 mb-4">
-            <div className="w-full md:w-48">
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Year
-              </label>
-              <select 
-                className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
-                value={year}
-                onChange={(e) => setYear(parseInt(e.target.value))}
-              >
-                <option value={1}>First Year</option>
-                <option value={2}>Second Year</option>
-                <option value={3}>Third Year</option>
-              </select>
-            </div>
+            <div className="flex flex-wrap gap-4 mb-4">
+              <div className="w-full md:w-48">
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Batch (Intake Year)
+                </label>
+                <input
+                  type="number"
+                  placeholder="e.g. 2020"
+                  className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
+                  value={batch}
+                  onChange={(e) => setBatch(e.target.value)}
+                />
+              </div>
+
+              <div className="w-full md:w-48">
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Programme
+                </label>
+                <select 
+                  className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
+                  value={programme}
+                  onChange={(e) => setProgramme(e.target.value)}
+                >
+                  <option value="">From index numbers</option>
+                  {programmes.map(entry => (
+                    <option key={entry._id} value={entry.code}>{entry.code} · {entry.name}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="w-full md:w-48">
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Year
+                </label>
+                <select 
+                  className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
+                  value={year}
+                  onChange={(e) => setYear(parseInt(e.target.value))}
+                >
+                  <option value={1}>First Year</option>
+                  <option value={2}>Second Year</option>
+                  <option value={3}>Third Year</option>
+                </select>
+              </div>
             
-            <div className="w-full md:w-48">
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Semester
-              </label>
-              <select 
-                className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
-                value={semester}
-                onChange={(e) => setSemester(parseInt(e.target.value))}
-              >
-                <option value={1}>First Semester</option>
-                <option value={2}>Second Semester</option>
-              </select>
-            </div>
-          </div>
-          
-          <div 
-            {...getRootProps()} 
-            className="border-2 border-dashed border-gray-300 rounded p-8 text-center mb-4 cursor-pointer hover:bg-gray-50 transition-colors"
-          >
-            <input {...getInputProps()} />
-            <p className="text-gray-600">
-              Drag & drop result sheet image here, or click to select
-            </p>
-            <p className="text-sm text-gray-500 mt-2">
-              (Supports PNG, JPG, JPEG)
-            </p>
-          </div>
-          
-          {files.length > 0 && (
-            <div className="mb-4">
-              <div className="flex items-center gap-2 bg-gray-50 p-3 rounded">
-                <span className="font-medium">{files[0].name}</span>
-                <button 
-                  onClick={() => setFiles([])}
-                  className="text-red-500 hover:text-red-700 ml-auto"
+              <div className="w-full md:w-48">
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Semester
+                </label>
+                <select 
+                  className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
+                  value={semester}
+                  onChange={(e) => setSemester(parseInt(e.target.value))}
+                >
+                  <option value={1}>First Semester</option>
+                  <option value={2}>Second Semester</option>
+                </select>
+              </div>
+
+              <div className="w-full md:w-48">
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Grading Scheme
+                </label>
+                <select 
+                  className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
+                  value={gradingScheme}
+                  onChange={(e) => setGradingScheme(e.target.value)}
+                >
+                  <option value="">Programme's scheme</option>
+                  {gradingSchemes.map(scheme => (
+                    <option key={scheme._id} value={scheme._id}>{scheme.name}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="w-full md:w-48">
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Exam Session
+                </label>
+                <input
+                  type="text"
+                  placeholder="e.g. 2024 May"
+                  className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
+                  value={examSession}
+                  onChange={(e) => setExamSession(e.target.value)}
+                />
+              </div>
+
+              <div className="w-full md:w-48">
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Sheet Template
+                </label>
+                <select 
+                  className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
+                  value={sheetTemplate}
+                  onChange={(e) => setSheetTemplate(e.target.value)}
+                >
+                  <option value="">Default layout</option>
+                  {sheetTemplates.map(template => (
+                    <option key={template._id} value={template._id}>{template.name}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="w-full md:w-48">
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Existing Results
+                </label>
+                <select 
+                  className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
+                  value={importMode}
+                  onChange={(e) => setImportMode(e.target.value)}
                 >
-                  Remove
-                </button>
+                  {IMPORT_MODES.map(([mode, label]) => (
+                    <option key={mode} value={mode}>{label}</option>
+                  ))}
+                </select>
               </div>
             </div>
-          )}
           
-          <div className="flex flex-wrap gap-4">
-            <button
-              onClick={handleSubmit}
-              disabled={isLoading}
-              className="bg-blue-600 text-white px-6 py-2 rounded hover:bg-blue-700 disabled:bg-blue-300 transition-colors flex-1 min-w-[200px]"
+            <div 
+              {...getRootProps()} 
+              className="border-2 border-dashed border-gray-300 rounded p-8 text-center mb-4 cursor-pointer hover:bg-gray-50 transition-colors"
             >
-              {isLoading ? 'Processing...' : 'Submit Result Sheet'}
-            </button>
+              <input {...getInputProps()} />
+              <p className="text-gray-600">
+                Drag & drop result sheet images, PDFs or spreadsheets here, or click to select
+              </p>
+              <p className="text-sm text-gray-500 mt-2">
+                (Supports PNG, JPG, JPEG, multi-page PDF, CSV, XLSX)
+              </p>
+            </div>
+          
+            {files.length > 0 && (
+              <div className="mb-4 space-y-2">
+                {files.map((file, index) => (
+                  <div key={index} className="flex items-center gap-2 bg-gray-50 p-3 rounded">
+                    <span className="font-medium">{file.name}</span>
+                    <button 
+                      onClick={() => setFiles(files.filter((_, fileIndex) => fileIndex !== index))}
+                      className="text-red-500 hover:text-red-700 ml-auto"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          
+            <div className="flex flex-wrap gap-4">
+              <button
+                onClick={() => handleSubmit()}
+                disabled={isLoading}
+                className="bg-blue-600 text-white px-6 py-2 rounded hover:bg-blue-700 disabled:bg-blue-300 transition-colors flex-1 min-w-[200px]"
+              >
+                {isLoading ? 'Uploading...' : `Submit ${files.length > 1 ? `${files.length} Result Sheets` : 'Result Sheet'}`}
+              </button>
             
-            <button
-              onClick={handleCalculateFinal}
-              disabled={isLoading}
-              className="bg-green-600 text-white px-6 py-2 rounded hover:bg-green-700 disabled:bg-green-300 transition-colors flex-1 min-w-[200px]"
-            >
-              Calculate Final GPA
-            </button>
+              <button
+                onClick={handleCalculateFinal}
+                disabled={isLoading}
+                className="bg-green-600 text-white px-6 py-2 rounded hover:bg-green-700 disabled:bg-green-300 transition-colors flex-1 min-w-[200px]"
+              >
+                Calculate Final GPA{(batch || programme) && ` (${[batch, programme].filter(Boolean).join(' ')})`}
+              </button>
+
+              <button
+                onClick={handleDownloadBatch}
+                disabled={isLoading}
+                className="bg-gray-600 text-white px-6 py-2 rounded hover:bg-gray-700 disabled:bg-gray-300 transition-colors"
+              >
+                Download Batch Transcripts
+              </button>
+            </div>
+
+            {jobs.length > 0 && (
+              <UploadJobs
+                jobs={jobs}
+                progress={jobProgress}
+                onReview={handleResumeDraft}
+                onMapColumns={handleMapColumns}
+              />
+            )}
+
+            {pendingDrafts.length > 0 && (
+              <div className="mt-6">
+                <h3 className="text-lg font-medium mb-3">Awaiting Review</h3>
+                <div className="space-y-2">
+                  {pendingDrafts.map(pending => (
+                    <div key={pending._id} className="flex items-center gap-2 bg-gray-50 p-3 rounded">
+                      <span className="font-medium">{pending.fileName}</span>
+                      <span className="text-sm text-gray-500">
+                        Year {pending.year} · Semester {pending.semester} · {pending.count} rows · {new Date(pending.createdAt).toLocaleString()}
+                      </span>
+                      <button
+                        onClick={() => handleResumeDraft(pending._id)}
+                        className="text-blue-600 hover:text-blue-800 ml-auto"
+                      >
+                        Review
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
           </div>
-        </div>
+
+          {/* Column Mapping Section */}
+          {mapping && (
+            <ColumnMapping
+              key={mapping.layoutSignature}
+              mapping={mapping}
+              onSaved={handleMappingSaved}
+              onCancel={() => setMapping(null)}
+            />
+          )}
+
+          {/* Draft Review Section */}
+          {draft && (
+            <DraftReview key={draft._id} draft={draft} onClose={handleCloseDraft} />
+          )}
         
-        {/* Student Lookup Section */}
-        <div className="bg-white rounded-lg shadow-md p-6">
-          <h2 className="text-xl font-semibold mb-4">Find Student Result</h2>
+          {/* Student Lookup Section */}
+          <div className="bg-white rounded-lg shadow-md p-6">
+            <h2 className="text-xl font-semibold mb-4">Find Student Result</h2>
           
-          <div className="flex flex-col md:flex-row gap-4 mb-6">
-            <input
-              type="text"
-              placeholder="Enter Index Number (e.g., 20/COM/386)"
-              className="flex-1 p-2 border rounded focus:ring-2 focus:ring-blue-500"
-              value={indexNo}
-              onChange={(e) => setIndexNo(e.target.value)}
-            />
-            <button
-              onClick={handleFindStudent}
-              disabled={isLoading}
-              className="bg-blue-600 text-white px-6 py-2 rounded hover:bg-blue-700 disabled:bg-blue-300 transition-colors md:w-auto"
-            >
-              {isLoading ? 'Searching...' : 'Find'}
-            </button>
-          </div>
+            <div className="flex flex-col md:flex-row gap-4 mb-6">
+              <input
+                type="text"
+                placeholder="Enter Index Number (e.g., 20/COM/386)"
+                className="flex-1 p-2 border rounded focus:ring-2 focus:ring-blue-500"
+                value={indexNo}
+                onChange={(e) => setIndexNo(e.target.value)}
+              />
+              <button
+                onClick={handleFindStudent}
+                disabled={isLoading}
+                className="bg-blue-600 text-white px-6 py-2 rounded hover:bg-blue-700 disabled:bg-blue-300 transition-colors md:w-auto"
+              >
+                {isLoading ? 'Searching...' : 'Find'}
+              </button>
+            </div>
           
-          {studentResult && (
-            <div className="mt-6 space-y-6">
-              {/* Student Summary */}
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                <div className="bg-gray-50 p-4 rounded-lg">
-                  <h3 className="text-lg font-medium mb-3">Student Details</h3>
-                  <div className="space-y-2">
-                    <p><span className="font-medium">Name:</span> {studentResult.name}</p>
-                    <p><span className="font-medium">Index No:</span> {studentResult.indexNo}</p>
-                    <p><span className="font-medium">Final GPA:</span> {studentResult.finalGPA?.toFixed(2) || 'N/A'}</p>
-                    <p>
-                      <span className="font-medium">Final Class:</span> 
-                      <span className={`font-bold ml-2 ${
-                        studentResult.finalClass === 'First Class' ? 'text-green-600' :
-                        studentResult.finalClass === 'Second Upper Class' ? 'text-blue-600' :
-                        studentResult.finalClass === 'Second Lower Class' ? 'text-yellow-600' :
-                        'text-red-600'
-                      }`}>
-                        {studentResult.finalClass || 'N/A'}
-                      </span>
-                    </p>
-                  </div>
-                  
-                  <h3 className="text-lg font-medium mt-6 mb-3">Year-wise GPA</h3>
-                  <div className="space-y-2">
-                    {studentResult.yearGPA && Object.entries(studentResult.yearGPA).map(([year, gpa]) => (
-                      <p key={year}>
-                        <span className="font-medium">Year {year}:</span> {gpa?.toFixed(2) || 'N/A'}
+            {studentResult && (
+              <div className="mt-6 space-y-6">
+                {/* Student Summary */}
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                  <div className="bg-gray-50 p-4 rounded-lg">
+                    <h3 className="text-lg font-medium mb-3">Student Details</h3>
+                    <div className="space-y-2">
+                      <p><span className="font-medium">Name:</span> {studentResult.name}</p>
+                      <p><span className="font-medium">Index No:</span> {studentResult.indexNo}</p>
+                      <p><span className="font-medium">Final GPA:</span> {studentResult.finalGPA?.toFixed(2) || 'N/A'}</p>
+                      <p>
+                        <span className="font-medium">Final Class:</span> 
+                        <span className={`font-bold ml-2 ${
+                          studentResult.finalClass === 'First Class' ? 'text-green-600' :
+                          studentResult.finalClass === 'Second Upper Class' ? 'text-blue-600' :
+                          studentResult.finalClass === 'Second Lower Class' ? 'text-yellow-600' :
+                          'text-red-600'
+                        }`}>
+                          {studentResult.finalClass || 'N/A'}
+                        </span>
                       </p>
-                    ))}
+                      {studentResult.finalClassReason && (
+                        <p className="text-sm text-gray-500">{studentResult.finalClassReason}</p>
+                      )}
+                    </div>
+
+                    <button
+                      onClick={handleDownloadTranscript}
+                      disabled={isLoading}
+                      className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:bg-blue-300 transition-colors mt-4"
+                    >
+                      Download Transcript
+                    </button>
+                  
+                    <h3 className="text-lg font-medium mt-6 mb-3">Year-wise GPA</h3>
+                    <div className="space-y-2">
+                      {studentResult.years.map(year => (
+                        <p key={year.year}>
+                          <span className="font-medium">Year {year.year}:</span> {year.gpa?.toFixed(2) || 'N/A'}
+                        </p>
+                      ))}
+                    </div>
                   </div>
-                </div>
                 
-                <div className="bg-gray-50 p-4 rounded-lg">
-                  <h3 className="text-lg font-medium mb-3">GPA Distribution</h3>
-                  <div className="h-64">
-                    <Doughnut 
-                      data={gpaChartData}
-                      options={{
-                        maintainAspectRatio: false,
-                        plugins: {
-                          legend: {
-                            position: 'bottom'
+                  <div className="bg-gray-50 p-4 rounded-lg">
+                    <h3 className="text-lg font-medium mb-3">GPA Distribution</h3>
+                    <div className="h-64">
+                      <Doughnut 
+                        data={gpaChartData}
+                        options={{
+                          maintainAspectRatio: false,
+                          plugins: {
+                            legend: {
+                              position: 'bottom'
+                            }
                           }
-                        }
-                      }}
-                    />
+                        }}
+                      />
+                    </div>
                   </div>
                 </div>
-              </div>
               
-              {/* Course Results */}
-              <div>
-                <h3 className="text-lg font-medium mb-3">Semester Results</h3>
-                <div className="overflow-x-auto">
-                  <table className="min-w-full bg-white border">
-                    <thead className="bg-gray-100">
-                      <tr>
-                        <th className="py-3 px-4 border font-semibold text-left">Course Code</th>
-                        <th className="py-3 px-4 border font-semibold text-left">Grade</th>
-                        <th className="py-3 px-4 border font-semibold text-left">Credit Hours</th>
-                        <th className="py-3 px-4 border font-semibold text-left">Quality Points</th>
-                      </tr>
-                    </thead>
-                    <tbody>
-                      {studentResult.courses?.map((course, index) => (
-                        <tr key={index} className={index % 2 === 0 ? 'bg-gray-50' : ''}>
-                          <td className="py-2 px-4 border">{course.code}</td>
-                          <td className="py-2 px-4 border font-medium">{course.grade}</td>
-                          <td className="py-2 px-4 border">{course.creditHours}</td>
-                          <td className="py-2 px-4 border">{course.qualityPoints?.toFixed(2)}</td>
-                        </tr>
-                      ))}
-                    </tbody>
-                  </table>
-                </div>
+                {/* Course Results */}
+                <Transcript key={studentResult.indexNo} transcript={studentResult} />
+
+                <AttemptHistory key={studentResult.indexNo} indexNo={studentResult.indexNo} />
               </div>
-            </div>
-          )}
-        </div>
+            )}
+          </div>
+          </>
+        )}
+
+        {view === 'students' && <Students />}
+
+        {view === 'classList' && <ClassList />}
+
+        {view === 'dashboard' && <CohortDashboard />}
+
+        {view === 'moderation' && <ModerationReport />}
+
+        {view === 'grading' && (
+          <GradingSchemes onChange={loadGradingSchemes} />
+        )}
+
+        {view === 'courses' && <CourseCatalogue />}
+
+        {view === 'templates' && (
+          <SheetTemplates onChange={loadSheetTemplates} />
+        )}
+
+        {view === 'programmes' && <Programmes onChange={loadProgrammes} />}
+
+        {view === 'classRules' && <ClassRules />}
       </div>
     </div>
   );
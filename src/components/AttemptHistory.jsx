@@ -0,0 +1,95 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+
+const POLICY_LABELS = {
+  best: 'Best attempt counts',
+  latest: 'Latest attempt counts',
+  capped: 'Re-sits capped'
+};
+
+function AttemptHistory({ indexNo }) {
+  const [history, setHistory] = useState(null);
+  const [showAll, setShowAll] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    axios.get(`${import.meta.env.VITE_API_URL}/api/student/${encodeURIComponent(indexNo)}/attempts`)
+      .then(response => {
+        if (!cancelled) setHistory(response.data.data);
+      })
+      .catch(error => {
+        console.error('Attempt history error:', error);
+        if (!cancelled) setHistory(null);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [indexNo]);
+
+  if (!history) return null;
+
+  const courses = showAll
+    ? history.courses
+    : history.courses.filter(course => course.attempts.length > 1);
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <h3 className="text-lg font-medium">Attempt History</h3>
+        <span className="text-sm text-gray-500">{POLICY_LABELS[history.repeatPolicy]}</span>
+        <label className="flex items-center gap-2 text-sm ml-auto">
+          <input
+            type="checkbox"
+            checked={showAll}
+            onChange={(e) => setShowAll(e.target.checked)}
+          />
+          Show single-attempt courses
+        </label>
+      </div>
+
+      {courses.length === 0 ? (
+        <p className="text-gray-500">No repeated courses.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full bg-white border">
+            <thead className="bg-gray-100">
+              <tr>
+                <th className="py-3 px-4 border font-semibold text-left">Course Code</th>
+                <th className="py-3 px-4 border font-semibold text-left">Attempt</th>
+                <th className="py-3 px-4 border font-semibold text-left">Exam Session</th>
+                <th className="py-3 px-4 border font-semibold text-left">Year / Sem</th>
+                <th className="py-3 px-4 border font-semibold text-left">Grade</th>
+                <th className="py-3 px-4 border font-semibold text-left">Counts</th>
+              </tr>
+            </thead>
+            <tbody>
+              {courses.flatMap(course => course.attempts.map((attempt, index) => (
+                <tr key={`${course.code}-${attempt.attempt}`} className={attempt.counted ? 'bg-green-50' : ''}>
+                  {index === 0 && (
+                    <td className="py-2 px-4 border font-medium" rowSpan={course.attempts.length}>
+                      {course.code}
+                    </td>
+                  )}
+                  <td className="py-2 px-4 border">{attempt.attempt}</td>
+                  <td className="py-2 px-4 border">{attempt.examSession || '-'}</td>
+                  <td className="py-2 px-4 border">{attempt.year} / {attempt.semester}</td>
+                  <td className="py-2 px-4 border font-medium">
+                    {attempt.grade}
+                    {attempt.cappedFrom && (
+                      <span className="text-sm text-gray-500 ml-1">(capped from {attempt.cappedFrom})</span>
+                    )}
+                  </td>
+                  <td className="py-2 px-4 border">{attempt.counted ? 'Yes' : 'No'}</td>
+                </tr>
+              )))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AttemptHistory;
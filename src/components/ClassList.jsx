@@ -0,0 +1,176 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+
+const COLUMNS = [
+  ['rank', 'Rank'],
+  ['indexNo', 'Index No'],
+  ['name', 'Name'],
+  ['programme', 'Programme'],
+  ['intakeYear', 'Batch'],
+  ['finalGPA', 'Final GPA'],
+  ['finalClass', 'Class']
+];
+
+const SORTABLE = ['rank', 'indexNo', 'name', 'finalGPA'];
+
+const emptyFilters = { batch: '', programme: '', finalClass: '' };
+
+const toQuery = (filters, sort) => ({
+  ...Object.fromEntries(Object.entries(filters).filter(([, value]) => value)),
+  ...sort
+});
+
+function ClassList() {
+  const [filters, setFilters] = useState(emptyFilters);
+  const [applied, setApplied] = useState(emptyFilters);
+  const [sort, setSort] = useState({ sort: 'rank', order: 'asc' });
+  const [page, setPage] = useState(1);
+  const [list, setList] = useState({ data: [], total: 0, pages: 1 });
+  const [isLoading, setIsLoading] = useState(false);
+
+  // Filters take effect on Search; sorting applies straight away
+  const params = toQuery(applied, sort);
+
+  const loadList = useCallback(async (query, pageNumber) => {
+    setIsLoading(true);
+    try {
+      const response = await axios.get(
+        `${import.meta.env.VITE_API_URL}/api/class-list`,
+        { params: { ...query, page: pageNumber, limit: 50 } }
+      );
+      setList(response.data);
+      setPage(response.data.page);
+    } catch (error) {
+      console.error('Class list error:', error);
+      toast.error(error.response?.data?.details || error.response?.data?.error || 'Error loading class list');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadList(toQuery(applied, sort), 1);
+  }, [loadList, applied, sort]);
+
+  const toggleSort = (key) => {
+    setSort(sort.sort === key
+      ? { sort: key, order: sort.order === 'asc' ? 'desc' : 'asc' }
+      : { sort: key, order: 'asc' });
+  };
+
+  const handleExport = async (format) => {
+    try {
+      const response = await axios.get(
+        `${import.meta.env.VITE_API_URL}/api/class-list/export`,
+        { params: { ...params, format }, responseType: 'blob' }
+      );
+      const href = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = href;
+      link.download = `class-list.${format}`;
+      link.click();
+      URL.revokeObjectURL(href);
+    } catch (error) {
+      console.error('Class list export error:', error);
+      toast.error('Error exporting class list');
+    }
+  };
+
+  const filterInput = (key, placeholder, props = {}) => (
+    <input
+      placeholder={placeholder}
+      className="w-full md:w-40 p-2 border rounded focus:ring-2 focus:ring-blue-500"
+      value={filters[key]}
+      onChange={(e) => setFilters({ ...filters, [key]: e.target.value })}
+      onKeyDown={(e) => e.key === 'Enter' && setApplied(filters)}
+      {...props}
+    />
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <div className="flex flex-wrap items-center gap-4 mb-4">
+        <h2 className="text-xl font-semibold">Class List</h2>
+        <button
+          onClick={() => handleExport('csv')}
+          className="text-blue-600 hover:text-blue-800 ml-auto"
+        >
+          Export CSV
+        </button>
+        <button
+          onClick={() => handleExport('xlsx')}
+          className="text-blue-600 hover:text-blue-800"
+        >
+          Export XLSX
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-4 mb-6">
+        {filterInput('batch', 'Batch (e.g. 2020)', { type: 'number' })}
+        {filterInput('programme', 'Programme')}
+        {filterInput('finalClass', 'Class (e.g. First Class)')}
+        <button
+          onClick={() => setApplied(filters)}
+          disabled={isLoading}
+          className="bg-blue-600 text-white px-6 py-2 rounded hover:bg-blue-700 disabled:bg-blue-300 transition-colors"
+        >
+          Search
+        </button>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-white border">
+          <thead className="bg-gray-100">
+            <tr>
+              {COLUMNS.map(([key, label]) => (
+                <th key={key} className="py-3 px-4 border font-semibold text-left">
+                  {SORTABLE.includes(key) ? (
+                    <button onClick={() => toggleSort(key)} className="font-semibold">
+                      {label}
+                      {sort.sort === key && (sort.order === 'asc' ? ' ▲' : ' ▼')}
+                    </button>
+                  ) : label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {list.data.map((student, index) => (
+              <tr key={student._id} className={index % 2 === 0 ? 'bg-gray-50' : ''}>
+                <td className="py-2 px-4 border">{student.rank ?? '-'}</td>
+                <td className="py-2 px-4 border font-medium">{student.indexNo}</td>
+                <td className="py-2 px-4 border">{student.name}</td>
+                <td className="py-2 px-4 border">{student.programme || '-'}</td>
+                <td className="py-2 px-4 border">{student.intakeYear || '-'}</td>
+                <td className="py-2 px-4 border">{student.finalGPA?.toFixed(2) ?? '-'}</td>
+                <td className="py-2 px-4 border">{student.finalClass || '-'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex items-center gap-4 mt-4">
+        <span className="text-sm text-gray-500">{list.total} students</span>
+        <button
+          onClick={() => loadList(params, page - 1)}
+          disabled={isLoading || page <= 1}
+          className="text-blue-600 hover:text-blue-800 disabled:text-gray-300 ml-auto"
+        >
+          Previous
+        </button>
+        <span className="text-sm">Page {page} of {list.pages}</span>
+        <button
+          onClick={() => loadList(params, page + 1)}
+          disabled={isLoading || page >= list.pages}
+          className="text-blue-600 hover:text-blue-800 disabled:text-gray-300"
+        >
+          Next
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ClassList;
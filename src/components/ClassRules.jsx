@@ -0,0 +1,283 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+
+const emptyClass = { name: '', minGPA: '', minGradePoints: '', noRepeats: false, minCredits: '' };
+
+const emptyRuleSet = {
+  name: '',
+  programme: '',
+  isDefault: false,
+  classes: [{ ...emptyClass }],
+  requireAllPassed: true,
+  minTotalCredits: '',
+  failClass: 'Fail/Incomplete'
+};
+
+function ClassRules() {
+  const [ruleSets, setRuleSets] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadRuleSets = useCallback(async () => {
+    try {
+      const response = await axios.get(
+        `${import.meta.env.VITE_API_URL}/api/class-rules`
+      );
+      setRuleSets(response.data.data);
+    } catch (error) {
+      console.error('Class rule listing error:', error);
+      toast.error(error.response?.data?.error || 'Error loading class rules');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadRuleSets();
+  }, [loadRuleSets]);
+
+  const updateClass = (classIndex, changes) => {
+    setEditing({
+      ...editing,
+      classes: editing.classes.map((entry, index) => (
+        index === classIndex ? { ...entry, ...changes } : entry
+      ))
+    });
+  };
+
+  const removeClass = (classIndex) => {
+    setEditing({ ...editing, classes: editing.classes.filter((_, index) => index !== classIndex) });
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const response = editing._id
+        ? await axios.put(`${import.meta.env.VITE_API_URL}/api/class-rules/${editing._id}`, editing)
+        : await axios.post(`${import.meta.env.VITE_API_URL}/api/class-rules`, editing);
+      toast.success(response.data.message);
+      setEditing(null);
+      loadRuleSets();
+    } catch (error) {
+      console.error('Class rule save error:', error);
+      toast.error(error.response?.data?.details || error.response?.data?.error || 'Error saving class rules');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (ruleSet) => {
+    if (!window.confirm(`Delete class rules "${ruleSet.name}"?`)) return;
+
+    try {
+      const response = await axios.delete(
+        `${import.meta.env.VITE_API_URL}/api/class-rules/${ruleSet._id}`
+      );
+      toast.success(response.data.message);
+      loadRuleSets();
+    } catch (error) {
+      console.error('Class rule delete error:', error);
+      toast.error(error.response?.data?.error || 'Error deleting class rules');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <div className="flex items-center mb-4">
+        <h2 className="text-xl font-semibold">Class Award Rules</h2>
+        <button
+          onClick={() => setEditing(emptyRuleSet)}
+          className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition-colors ml-auto"
+        >
+          New Rule Set
+        </button>
+      </div>
+
+      <div className="space-y-2 mb-6">
+        {ruleSets.map(ruleSet => (
+          <div key={ruleSet._id} className="flex items-center gap-2 bg-gray-50 p-3 rounded">
+            <span className="font-medium">{ruleSet.name}</span>
+            {ruleSet.isDefault && (
+              <span className="text-xs bg-green-100 text-green-700 px-2 py-0.5 rounded">Default</span>
+            )}
+            {ruleSet.programme && (
+              <span className="text-xs bg-blue-100 text-blue-700 px-2 py-0.5 rounded">{ruleSet.programme}</span>
+            )}
+            <span className="text-sm text-gray-500">
+              {ruleSet.classes.map(entry => `${entry.name} ≥ ${entry.minGPA}`).join(' · ')}
+            </span>
+            <button
+              onClick={() => setEditing(ruleSet)}
+              className="text-blue-600 hover:text-blue-800 ml-auto"
+            >
+              Edit
+            </button>
+            <button
+              onClick={() => handleDelete(ruleSet)}
+              className="text-red-500 hover:text-red-700"
+            >
+              Delete
+            </button>
+          </div>
+        ))}
+      </div>
+
+      {editing && (
+        <div className="border-t pt-6">
+          <div className="flex flex-wrap gap-4 mb-4">
+            <div className="w-full md:w-64">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Name
+              </label>
+              <input
+                className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
+                value={editing.name}
+                onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+              />
+            </div>
+            <div className="w-full md:w-32">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Programme
+              </label>
+              <input
+                className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
+                placeholder="COM"
+                value={editing.programme || ''}
+                onChange={(e) => setEditing({ ...editing, programme: e.target.value })}
+              />
+            </div>
+            <div className="w-full md:w-48">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Fail Outcome
+              </label>
+              <input
+                className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
+                value={editing.failClass}
+                onChange={(e) => setEditing({ ...editing, failClass: e.target.value })}
+              />
+            </div>
+            <div className="w-full md:w-40">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Min Total Credits
+              </label>
+              <input
+                type="number"
+                className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
+                value={editing.minTotalCredits ?? ''}
+                onChange={(e) => setEditing({ ...editing, minTotalCredits: e.target.value })}
+              />
+            </div>
+            <label className="flex items-center gap-2 self-end pb-2">
+              <input
+                type="checkbox"
+                checked={editing.requireAllPassed}
+                onChange={(e) => setEditing({ ...editing, requireAllPassed: e.target.checked })}
+              />
+              All courses must be passed
+            </label>
+            <label className="flex items-center gap-2 self-end pb-2">
+              <input
+                type="checkbox"
+                checked={editing.isDefault}
+                onChange={(e) => setEditing({ ...editing, isDefault: e.target.checked })}
+              />
+              Default rule set
+            </label>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full bg-white border text-sm">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="py-2 px-2 border font-semibold text-left">Class (best first)</th>
+                  <th className="py-2 px-2 border font-semibold text-left">Min GPA</th>
+                  <th className="py-2 px-2 border font-semibold text-left">Min Grade Points in Every Course</th>
+                  <th className="py-2 px-2 border font-semibold text-left">No Repeats</th>
+                  <th className="py-2 px-2 border font-semibold text-left">Min Credits</th>
+                  <th className="py-2 px-2 border"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {editing.classes.map((entry, index) => (
+                  <tr key={index}>
+                    <td className="border">
+                      <input
+                        className="w-48 p-1"
+                        value={entry.name}
+                        onChange={(e) => updateClass(index, { name: e.target.value })}
+                      />
+                    </td>
+                    <td className="border">
+                      <input
+                        type="number"
+                        step="0.01"
+                        className="w-20 p-1"
+                        value={entry.minGPA}
+                        onChange={(e) => updateClass(index, { minGPA: e.target.value })}
+                      />
+                    </td>
+                    <td className="border">
+                      <input
+                        type="number"
+                        step="0.1"
+                        className="w-20 p-1"
+                        value={entry.minGradePoints ?? ''}
+                        onChange={(e) => updateClass(index, { minGradePoints: e.target.value })}
+                      />
+                    </td>
+                    <td className="border text-center">
+                      <input
+                        type="checkbox"
+                        checked={entry.noRepeats}
+                        onChange={(e) => updateClass(index, { noRepeats: e.target.checked })}
+                      />
+                    </td>
+                    <td className="border">
+                      <input
+                        type="number"
+                        className="w-20 p-1"
+                        value={entry.minCredits ?? ''}
+                        onChange={(e) => updateClass(index, { minCredits: e.target.value })}
+                      />
+                    </td>
+                    <td className="border px-2">
+                      <button
+                        onClick={() => removeClass(index)}
+                        className="text-red-500 hover:text-red-700"
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex flex-wrap gap-4 mt-4">
+            <button
+              onClick={() => setEditing({ ...editing, classes: [...editing.classes, { ...emptyClass }] })}
+              className="text-blue-600 hover:text-blue-800 px-4 py-2"
+            >
+              Add Class
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={isSaving}
+              className="bg-blue-600 text-white px-6 py-2 rounded hover:bg-blue-700 disabled:bg-blue-300 transition-colors ml-auto"
+            >
+              Save Rules
+            </button>
+            <button
+              onClick={() => setEditing(null)}
+              className="text-gray-500 hover:text-gray-700 px-4 py-2"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ClassRules;
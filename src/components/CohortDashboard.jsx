@@ -0,0 +1,210 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+import { Bar, Line } from 'react-chartjs-2';
+
+const COLORS = ['#36A2EB', '#FF6384', '#FFCE56', '#4BC0C0', '#9966FF', '#FF9F40', '#C9CBCF', '#2E7D32'];
+
+const color = (index) => COLORS[index % COLORS.length];
+
+const stacked = {
+  maintainAspectRatio: false,
+  scales: { x: { stacked: true }, y: { stacked: true, beginAtZero: true } },
+  plugins: { legend: { position: 'bottom' } }
+};
+
+const grouped = {
+  maintainAspectRatio: false,
+  scales: { y: { beginAtZero: true } },
+  plugins: { legend: { position: 'bottom' } }
+};
+
+function ChartCard({ title, children }) {
+  return (
+    <div className="bg-gray-50 p-4 rounded-lg">
+      <h3 className="text-lg font-medium mb-3">{title}</h3>
+      <div className="h-72">{children}</div>
+    </div>
+  );
+}
+
+function CohortDashboard() {
+  const [batch, setBatch] = useState('');
+  const [programme, setProgramme] = useState('');
+  const [year, setYear] = useState('');
+  const [courseGrades, setCourseGrades] = useState([]);
+  const [gpaDistribution, setGpaDistribution] = useState({ bins: [], batches: [] });
+  const [classAwards, setClassAwards] = useState({ classes: [], batches: [] });
+  const [yearComparison, setYearComparison] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const loadDashboard = useCallback(async (filters) => {
+    setIsLoading(true);
+    try {
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+      // The study year only narrows the per-course charts
+      const { year: _year, ...scope } = params;
+      const analytics = (path, query) => axios.get(
+        `${import.meta.env.VITE_API_URL}/api/analytics/${path}`,
+        { params: query }
+      );
+
+      const [grades, gpa, awards, years] = await Promise.all([
+        analytics('course-grades', params),
+        analytics('gpa-distribution', scope),
+        analytics('class-awards', scope),
+        analytics('year-comparison', scope)
+      ]);
+      setCourseGrades(grades.data.data);
+      setGpaDistribution(gpa.data.data);
+      setClassAwards(awards.data.data);
+      setYearComparison(years.data.data);
+    } catch (error) {
+      console.error('Dashboard error:', error);
+      toast.error(error.response?.data?.details || error.response?.data?.error || 'Error loading dashboard');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadDashboard({});
+  }, [loadDashboard]);
+
+  const grades = [...new Set(courseGrades.flatMap(course => Object.keys(course.grades)))].sort();
+  const studyYears = [...new Set(yearComparison.flatMap(entry => entry.years.map(item => item.year)))]
+    .sort((a, b) => a - b);
+
+  const gradeChart = {
+    labels: courseGrades.map(course => course.code),
+    datasets: grades.map((grade, index) => ({
+      label: grade,
+      data: courseGrades.map(course => course.grades[grade] || 0),
+      backgroundColor: color(index)
+    }))
+  };
+
+  const passChart = {
+    labels: courseGrades.map(course => course.code),
+    datasets: [
+      { label: 'Passed', data: courseGrades.map(course => course.passed), backgroundColor: '#4BC0C0' },
+      { label: 'Failed', data: courseGrades.map(course => course.failed), backgroundColor: '#FF6384' }
+    ]
+  };
+
+  const gpaChart = {
+    labels: gpaDistribution.bins,
+    datasets: gpaDistribution.batches.map((entry, index) => ({
+      label: `Batch ${entry.batch ?? '-'}`,
+      data: entry.counts,
+      backgroundColor: color(index)
+    }))
+  };
+
+  const classChart = {
+    labels: classAwards.batches.map(entry => `Batch ${entry.batch ?? '-'}`),
+    datasets: classAwards.classes.map((finalClass, index) => ({
+      label: finalClass,
+      data: classAwards.batches.map(entry => entry.counts[finalClass] || 0),
+      backgroundColor: color(index)
+    }))
+  };
+
+  const yearChart = {
+    labels: studyYears.map(studyYear => `Year ${studyYear}`),
+    datasets: yearComparison.map((entry, index) => ({
+      label: `Batch ${entry.batch ?? '-'}`,
+      data: studyYears.map(studyYear => entry.years.find(item => item.year === studyYear)?.averageGPA ?? null),
+      borderColor: color(index),
+      backgroundColor: color(index)
+    }))
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <h2 className="text-xl font-semibold mb-4">Cohort Dashboard</h2>
+
+      <div className="flex flex-wrap gap-4 mb-6">
+        <input
+          type="number"
+          placeholder="Batch (e.g. 2020)"
+          className="w-full md:w-40 p-2 border rounded focus:ring-2 focus:ring-blue-500"
+          value={batch}
+          onChange={(e) => setBatch(e.target.value)}
+        />
+        <input
+          type="text"
+          placeholder="Programme"
+          className="w-full md:w-40 p-2 border rounded focus:ring-2 focus:ring-blue-500"
+          value={programme}
+          onChange={(e) => setProgramme(e.target.value)}
+        />
+        <select
+          className="w-full md:w-40 p-2 border rounded focus:ring-2 focus:ring-blue-500"
+          value={year}
+          onChange={(e) => setYear(e.target.value)}
+        >
+          <option value="">All years</option>
+          <option value="1">First Year</option>
+          <option value="2">Second Year</option>
+          <option value="3">Third Year</option>
+          <option value="4">Fourth Year</option>
+        </select>
+        <button
+          onClick={() => loadDashboard({ batch, programme, year })}
+          disabled={isLoading}
+          className="bg-blue-600 text-white px-6 py-2 rounded hover:bg-blue-700 disabled:bg-blue-300 transition-colors"
+        >
+          {isLoading ? 'Loading...' : 'Apply'}
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <ChartCard title="Grade Distribution by Course">
+          <Bar data={gradeChart} options={stacked} />
+        </ChartCard>
+        <ChartCard title="Pass / Fail by Course">
+          <Bar data={passChart} options={stacked} />
+        </ChartCard>
+        <ChartCard title="Final GPA Distribution">
+          <Bar data={gpaChart} options={grouped} />
+        </ChartCard>
+        <ChartCard title="Class Awards by Batch">
+          <Bar data={classChart} options={stacked} />
+        </ChartCard>
+        <ChartCard title="Average GPA by Study Year">
+          <Line data={yearChart} options={{ ...grouped, scales: { y: { min: 0, max: 4 } } }} />
+        </ChartCard>
+      </div>
+
+      {courseGrades.length > 0 && (
+        <div className="overflow-x-auto mt-6">
+          <table className="min-w-full bg-white border">
+            <thead className="bg-gray-100">
+              <tr>
+                <th className="py-3 px-4 border font-semibold text-left">Course Code</th>
+                <th className="py-3 px-4 border font-semibold text-left">Title</th>
+                <th className="py-3 px-4 border font-semibold text-left">Sat</th>
+                <th className="py-3 px-4 border font-semibold text-left">Passed</th>
+                <th className="py-3 px-4 border font-semibold text-left">Pass Rate</th>
+              </tr>
+            </thead>
+            <tbody>
+              {courseGrades.map((course, index) => (
+                <tr key={course.code} className={index % 2 === 0 ? 'bg-gray-50' : ''}>
+                  <td className="py-2 px-4 border font-medium">{course.code}</td>
+                  <td className="py-2 px-4 border">{course.title || '-'}</td>
+                  <td className="py-2 px-4 border">{course.total}</td>
+                  <td className="py-2 px-4 border">{course.passed}</td>
+                  <td className="py-2 px-4 border">{course.passRate}%</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CohortDashboard;
@@ -0,0 +1,161 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+
+const ROLES = [
+  ['indexNo', 'Index Number'],
+  ['name', 'Name'],
+  ['course', 'Course'],
+  ['ignore', 'Ignore']
+];
+
+const normalize = (text) => String(text || '').replace(/[^A-Z0-9]/gi, '').toUpperCase();
+
+// First guess at each header's role; the reviewer corrects the rest
+const guessRole = (header) => {
+  if (/index|reg(istration)?\s*no|student\s*id/i.test(header)) return 'indexNo';
+  if (/name/i.test(header)) return 'name';
+  if (/^(total|gpa|sgpa|cgpa|avg|average|remarks?|result)$/i.test(normalize(header))) return 'ignore';
+  return 'course';
+};
+
+// Turn the header roles into a sheet template the upload can match by signature
+const toTemplate = (name, columns, layoutSignature) => {
+  const aliases = (role) => columns.filter(column => column.role === role).map(column => column.header);
+  const ignored = aliases('ignore');
+
+  return {
+    name,
+    description: 'Mapped from a spreadsheet upload',
+    columns: [
+      { role: 'indexNo', aliases: aliases('indexNo') },
+      { role: 'name', aliases: aliases('name') },
+      { role: 'course', aliases: [] },
+      ...(ignored.length ? [{ role: 'ignore', aliases: ignored }] : [])
+    ],
+    headerCodes: columns
+      .filter(column => column.role === 'course' && normalize(column.code) !== normalize(column.header))
+      .map(({ header, code }) => ({ header, code })),
+    layoutSignature
+  };
+};
+
+function ColumnMapping({ mapping, onSaved, onCancel }) {
+  const [name, setName] = useState(`${mapping.fileName.replace(/\.[^.]+$/, '')} layout`);
+  const [columns, setColumns] = useState(
+    mapping.headers
+      .filter(Boolean)
+      .map(header => ({ header, role: guessRole(header), code: header }))
+  );
+  const [isSaving, setIsSaving] = useState(false);
+
+  const updateColumn = (columnIndex, changes) => {
+    setColumns(columns.map((column, index) => (
+      index === columnIndex ? { ...column, ...changes } : column
+    )));
+  };
+
+  const handleSave = async () => {
+    const missing = ['indexNo', 'name'].filter(role => (
+      columns.filter(column => column.role === role).length !== 1
+    ));
+    if (missing.length) {
+      toast.error('Choose exactly one index number column and one name column');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const response = await axios.post(
+        `${import.meta.env.VITE_API_URL}/api/sheet-templates`,
+        toTemplate(name, columns, mapping.layoutSignature)
+      );
+      toast.success(response.data.message);
+      onSaved(response.data.data);
+    } catch (error) {
+      console.error('Column mapping save error:', error);
+      toast.error(error.response?.data?.details || error.response?.data?.error || 'Error saving column mapping');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <div className="flex flex-wrap items-center gap-2 mb-2">
+        <h2 className="text-xl font-semibold">Map Spreadsheet Columns</h2>
+        <span className="text-sm text-gray-500">{mapping.fileName}</span>
+        <button
+          onClick={onCancel}
+          className="text-gray-500 hover:text-gray-700 ml-auto"
+        >
+          Close
+        </button>
+      </div>
+      <p className="text-sm text-orange-700 mb-4">{mapping.details}</p>
+
+      <div className="w-full md:w-64 mb-4">
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          Save Layout As
+        </label>
+        <input
+          className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+      </div>
+
+      <div className="overflow-x-auto mb-4">
+        <table className="min-w-full bg-white border text-sm">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="py-2 px-3 border font-semibold text-left">Spreadsheet Header</th>
+              <th className="py-2 px-3 border font-semibold text-left">Holds</th>
+              <th className="py-2 px-3 border font-semibold text-left">Course Code</th>
+            </tr>
+          </thead>
+          <tbody>
+            {columns.map((column, index) => (
+              <tr key={index} className={index % 2 === 0 ? 'bg-gray-50' : ''}>
+                <td className="py-2 px-3 border font-medium">{column.header}</td>
+                <td className="py-2 px-3 border">
+                  <select
+                    className="p-2 border rounded focus:ring-2 focus:ring-blue-500"
+                    value={column.role}
+                    onChange={(e) => updateColumn(index, { role: e.target.value })}
+                  >
+                    {ROLES.map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </td>
+                <td className="py-2 px-3 border">
+                  {column.role === 'course' && (
+                    <input
+                      className="w-40 p-2 border rounded focus:ring-2 focus:ring-blue-500"
+                      value={column.code}
+                      onChange={(e) => updateColumn(index, { code: e.target.value })}
+                    />
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-gray-500 mb-4">
+        Course columns are matched to the catalogue by code. The saved layout is used automatically the next time a spreadsheet with these headers is uploaded.
+      </p>
+
+      <button
+        onClick={handleSave}
+        disabled={isSaving}
+        className="bg-blue-600 text-white px-6 py-2 rounded hover:bg-blue-700 disabled:bg-blue-300 transition-colors"
+      >
+        Save Mapping & Upload
+      </button>
+    </div>
+  );
+}
+
+export default ColumnMapping;
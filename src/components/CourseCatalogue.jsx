@@ -0,0 +1,239 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+
+const emptyCourse = {
+  code: '',
+  title: '',
+  credits: '',
+  year: '',
+  semester: '',
+  programme: '',
+  countsTowardsGPA: true
+};
+
+function CourseCatalogue() {
+  const [courses, setCourses] = useState([]);
+  const [search, setSearch] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadCourses = useCallback(async (q) => {
+    try {
+      const response = await axios.get(
+        `${import.meta.env.VITE_API_URL}/api/courses`,
+        { params: q ? { q } : {} }
+      );
+      setCourses(response.data.data);
+    } catch (error) {
+      console.error('Course listing error:', error);
+      toast.error(error.response?.data?.error || 'Error loading courses');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadCourses();
+  }, [loadCourses]);
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const response = editing._id
+        ? await axios.put(`${import.meta.env.VITE_API_URL}/api/courses/${editing._id}`, editing)
+        : await axios.post(`${import.meta.env.VITE_API_URL}/api/courses`, editing);
+      toast.success(response.data.message);
+      setEditing(null);
+      loadCourses(search);
+    } catch (error) {
+      console.error('Course save error:', error);
+      toast.error(error.response?.data?.details || error.response?.data?.error || 'Error saving course');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (course) => {
+    if (!window.confirm(`Delete course ${course.code}?`)) return;
+
+    try {
+      const response = await axios.delete(
+        `${import.meta.env.VITE_API_URL}/api/courses/${course._id}`
+      );
+      toast.success(response.data.message);
+      loadCourses(search);
+    } catch (error) {
+      console.error('Course delete error:', error);
+      toast.error(error.response?.data?.error || 'Error deleting course');
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const formData = new FormData();
+    formData.append('courseFile', file);
+
+    setIsSaving(true);
+    try {
+      const response = await axios.post(
+        `${import.meta.env.VITE_API_URL}/api/courses/import`,
+        formData,
+        {
+          headers: {
+            'Content-Type': 'multipart/form-data'
+          }
+        }
+      );
+      toast.success(`${response.data.message} (${response.data.created} new, ${response.data.updated} updated)`);
+      loadCourses(search);
+    } catch (error) {
+      console.error('Course import error:', error);
+      toast.error(error.response?.data?.details || error.response?.data?.error || 'Error importing courses');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const field = (key, label, props = {}) => (
+    <div className="w-full md:w-36">
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        {label}
+      </label>
+      <input
+        className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
+        value={editing[key] ?? ''}
+        onChange={(e) => setEditing({ ...editing, [key]: e.target.value })}
+        {...props}
+      />
+    </div>
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <div className="flex flex-wrap items-center gap-4 mb-4">
+        <h2 className="text-xl font-semibold">Course Catalogue</h2>
+        <label className="text-blue-600 hover:text-blue-800 cursor-pointer ml-auto">
+          Import CSV
+          <input type="file" accept=".csv,text/csv" className="hidden" onChange={handleImport} disabled={isSaving} />
+        </label>
+        <button
+          onClick={() => setEditing(emptyCourse)}
+          className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition-colors"
+        >
+          New Course
+        </button>
+      </div>
+      <p className="text-sm text-gray-500 mb-4">
+        CSV columns: code, title, credits, year, semester, programme, countsTowardsGPA
+      </p>
+
+      {editing && (
+        <div className="border rounded p-4 mb-6">
+          <div className="flex flex-wrap gap-4 mb-4">
+            {field('code', 'Code')}
+            <div className="flex-1 min-w-[200px]">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Title
+              </label>
+              <input
+                className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
+                value={editing.title}
+                onChange={(e) => setEditing({ ...editing, title: e.target.value })}
+              />
+            </div>
+            {field('credits', 'Credits', { type: 'number', min: 1 })}
+            {field('year', 'Year', { type: 'number', min: 1 })}
+            {field('semester', 'Semester', { type: 'number', min: 1 })}
+            {field('programme', 'Programme')}
+            <label className="flex items-center gap-2 self-end pb-2">
+              <input
+                type="checkbox"
+                checked={editing.countsTowardsGPA}
+                onChange={(e) => setEditing({ ...editing, countsTowardsGPA: e.target.checked })}
+              />
+              Counts towards GPA
+            </label>
+          </div>
+          <div className="flex gap-4">
+            <button
+              onClick={handleSave}
+              disabled={isSaving}
+              className="bg-blue-600 text-white px-6 py-2 rounded hover:bg-blue-700 disabled:bg-blue-300 transition-colors"
+            >
+              Save Course
+            </button>
+            <button
+              onClick={() => setEditing(null)}
+              className="text-gray-500 hover:text-gray-700 px-4 py-2"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="flex gap-4 mb-4">
+        <input
+          type="text"
+          placeholder="Search by code or title"
+          className="flex-1 p-2 border rounded focus:ring-2 focus:ring-blue-500"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && loadCourses(search)}
+        />
+        <button
+          onClick={() => loadCourses(search)}
+          className="bg-blue-600 text-white px-6 py-2 rounded hover:bg-blue-700 transition-colors"
+        >
+          Search
+        </button>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-white border">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="py-3 px-4 border font-semibold text-left">Code</th>
+              <th className="py-3 px-4 border font-semibold text-left">Title</th>
+              <th className="py-3 px-4 border font-semibold text-left">Credits</th>
+              <th className="py-3 px-4 border font-semibold text-left">Year / Sem</th>
+              <th className="py-3 px-4 border font-semibold text-left">Programme</th>
+              <th className="py-3 px-4 border font-semibold text-left">GPA</th>
+              <th className="py-3 px-4 border"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {courses.map((course, index) => (
+              <tr key={course._id} className={index % 2 === 0 ? 'bg-gray-50' : ''}>
+                <td className="py-2 px-4 border font-medium">{course.code}</td>
+                <td className="py-2 px-4 border">{course.title}</td>
+                <td className="py-2 px-4 border">{course.credits}</td>
+                <td className="py-2 px-4 border">{course.year || '-'} / {course.semester || '-'}</td>
+                <td className="py-2 px-4 border">{course.programme || '-'}</td>
+                <td className="py-2 px-4 border">{course.countsTowardsGPA ? 'Yes' : 'No'}</td>
+                <td className="py-2 px-4 border whitespace-nowrap">
+                  <button
+                    onClick={() => setEditing(course)}
+                    className="text-blue-600 hover:text-blue-800 mr-3"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => handleDelete(course)}
+                    className="text-red-500 hover:text-red-700"
+                  >
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default CourseCatalogue;
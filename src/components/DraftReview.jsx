@@ -0,0 +1,354 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+import IMPORT_MODES from '../importModes.json';
+
+const RULE_LABELS = {
+  substitution: 'common misread',
+  gradeScale: 'nearest grade',
+  roster: 'nearest index number on record'
+};
+
+const correctionText = (fix) => `Read as '${fix.from}', corrected to '${fix.to}' (${RULE_LABELS[fix.rule]})`;
+
+const cellClass = (cell, fix) => {
+  if (fix) return 'bg-blue-50';
+  return cell?.lowConfidence ? 'bg-yellow-100' : '';
+};
+
+const cellTitle = (cell, fix) => {
+  if (fix) return correctionText(fix);
+  return cell?.confidence != null ? `Confidence ${Math.round(cell.confidence)}%` : undefined;
+};
+
+const fieldCorrection = (row, field) => row.corrections?.find(fix => fix.field === field);
+
+// The row's problem in this column, if any; errors outrank confidence flags
+const fieldIssue = (row, field) => row.issues?.find(issue => issue.field === field);
+
+// Position a pixel bbox over the rendered sheet image in percentages
+const boxStyle = (bbox, imageSize) => ({
+  left: `${(bbox.x0 / imageSize.width) * 100}%`,
+  top: `${(bbox.y0 / imageSize.height) * 100}%`,
+  width: `${((bbox.x1 - bbox.x0) / imageSize.width) * 100}%`,
+  height: `${((bbox.y1 - bbox.y0) / imageSize.height) * 100}%`
+});
+
+function DraftReview({ draft, onClose }) {
+  const [rows, setRows] = useState(draft.rows);
+  const [isSaving, setIsSaving] = useState(false);
+  const [imageSize, setImageSize] = useState(null);
+  const [activeCell, setActiveCell] = useState(null);
+  const [importMode, setImportMode] = useState(draft.importMode || 'reject');
+  const [page, setPage] = useState(draft.pages?.[0]?.page || 1);
+
+  const courseCodes = draft.headers;
+  const invalidRows = rows.filter(row => row.issues?.length).length;
+  const corrections = rows.flatMap(row => (row.corrections || []).map(fix => ({ ...fix, indexNo: row.indexNo })));
+
+  const rowCells = (row) => [row.ocr?.indexNo, row.ocr?.name, ...row.courses.map(course => course.ocr)];
+  const flaggedCells = rows.flatMap(rowCells).filter(cell => cell?.lowConfidence && cell.bbox);
+  const onPage = (cell) => (cell?.page ?? 1) === page;
+
+  // Show the page a focused cell was read from
+  const focusCell = (cell) => {
+    setActiveCell(cell);
+    if (cell?.page) setPage(cell.page);
+  };
+
+  const updateRow = (rowIndex, changes) => {
+    setRows(rows.map((row, index) => (
+      index === rowIndex ? { ...row, ...changes } : row
+    )));
+  };
+
+  // Typing into a blank cell adds the course; credits are filled in on save
+  const updateGrade = (rowIndex, code, grade) => {
+    const { courses } = rows[rowIndex];
+    updateRow(rowIndex, {
+      courses: courses.some(course => course.code === code)
+        ? courses.map(course => (course.code === code ? { ...course, grade } : course))
+        : [...courses, { code, grade }]
+    });
+  };
+
+  const removeRow = (rowIndex) => {
+    setRows(rows.filter((_, index) => index !== rowIndex));
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const response = await axios.put(
+        `${import.meta.env.VITE_API_URL}/api/drafts/${draft._id}`,
+        { rows }
+      );
+      setRows(response.data.data.rows);
+      toast.success(response.data.message);
+    } catch (error) {
+      console.error('Draft save error:', error);
+      toast.error(error.response?.data?.details || 'Error saving draft');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleConfirm = async () => {
+    setIsSaving(true);
+    try {
+      const response = await axios.post(
+        `${import.meta.env.VITE_API_URL}/api/drafts/${draft._id}/confirm`,
+        { rows, importMode }
+      );
+      const { created, updated, skipped, remaining } = response.data;
+      toast.success(`${response.data.message} (${created} created, ${updated} updated, ${skipped} skipped)`);
+
+      // Rows with errors stay open for correction
+      if (remaining) {
+        setRows(response.data.data.rows);
+      } else {
+        onClose();
+      }
+    } catch (error) {
+      console.error('Draft confirm error:', error);
+      toast.error(error.response?.data?.details || 'Error saving results');
+
+      // Nothing was valid; show what still needs fixing on each row
+      const issues = error.response?.data?.issues;
+      if (issues) {
+        setRows(rows.map((row, index) => ({ ...row, issues: issues.filter(issue => issue.row === index) })));
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDiscard = async () => {
+    setIsSaving(true);
+    try {
+      const response = await axios.delete(
+        `${import.meta.env.VITE_API_URL}/api/drafts/${draft._id}`
+      );
+      toast.info(response.data.message);
+      onClose();
+    } catch (error) {
+      console.error('Draft discard error:', error);
+      toast.error(error.response?.data?.error || 'Error discarding draft');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // Spreadsheet imports have no sheet image to show alongside the rows
+  const hasImage = draft.source !== 'spreadsheet';
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <h2 className="text-xl font-semibold">Review Extracted Results</h2>
+        <span className="text-sm text-gray-500">
+          {draft.fileName} · Year {draft.year} · Semester {draft.semester}
+        </span>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-700 ml-auto"
+        >
+          Close
+        </button>
+      </div>
+
+      <div className={`grid grid-cols-1 ${hasImage ? 'lg:grid-cols-2' : ''} gap-6`}>
+        <div className="overflow-x-auto">
+          <table className="min-w-full bg-white border text-sm">
+            <thead className="bg-gray-100">
+              <tr>
+                <th className="py-2 px-2 border font-semibold text-left">Index No</th>
+                <th className="py-2 px-2 border font-semibold text-left">Name</th>
+                {courseCodes.map(code => (
+                  <th key={code} className="py-2 px-2 border font-semibold text-left">{code}</th>
+                ))}
+                <th className="py-2 px-2 border"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row, rowIndex) => (
+                <tr key={row._id || rowIndex} title={row.ocr?.line}>
+                  <td
+                    className={`border ${
+                      fieldIssue(row, 'indexNo') ? 'bg-red-100' : cellClass(row.ocr?.indexNo, fieldCorrection(row, 'indexNo'))
+                    }`}
+                    title={fieldIssue(row, 'indexNo')?.message || cellTitle(row.ocr?.indexNo, fieldCorrection(row, 'indexNo'))}
+                  >
+                    <input
+                      className="w-28 p-1 bg-transparent"
+                      value={row.indexNo}
+                      onFocus={() => focusCell(row.ocr?.indexNo)}
+                      onChange={(e) => updateRow(rowIndex, { indexNo: e.target.value })}
+                    />
+                  </td>
+                  <td
+                    className={`border ${
+                      fieldIssue(row, 'name') ? 'bg-red-100' : row.recordedName ? 'bg-orange-100' : cellClass(row.ocr?.name)
+                    }`}
+                    title={fieldIssue(row, 'name')?.message
+                      || (row.recordedName ? `Recorded as ${row.recordedName}` : cellTitle(row.ocr?.name))}
+                  >
+                    <input
+                      className="w-40 p-1 bg-transparent"
+                      value={row.name}
+                      onFocus={() => focusCell(row.ocr?.name)}
+                      onChange={(e) => updateRow(rowIndex, { name: e.target.value })}
+                    />
+                  </td>
+                  {courseCodes.map(code => {
+                    const course = row.courses.find(entry => entry.code === code);
+                    return (
+                      <td
+                        key={code}
+                        className={`border ${fieldIssue(row, code) ? 'bg-red-100' : cellClass(course?.ocr, fieldCorrection(row, code))}`}
+                        title={fieldIssue(row, code)?.message || cellTitle(course?.ocr, fieldCorrection(row, code))}
+                      >
+                        <input
+                          className="w-12 p-1 bg-transparent font-medium"
+                          value={course?.grade || ''}
+                          onFocus={() => focusCell(course?.ocr)}
+                          onChange={(e) => updateGrade(rowIndex, code, e.target.value)}
+                        />
+                      </td>
+                    );
+                  })}
+                  <td className="border px-2">
+                    <button
+                      onClick={() => removeRow(rowIndex)}
+                      className="text-red-500 hover:text-red-700"
+                    >
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-500 mt-2">
+            Red cells have errors ({invalidRows} rows); those rows stay in the draft when the rest are saved.
+            Highlighted cells were read with low OCR confidence ({flaggedCells.length} flagged).
+            Blue cells were corrected automatically; hover to see what was read.
+            Orange names differ from the student record; the recorded name is kept and the difference is logged as a conflict.
+            Leave a grade empty for a course the student did not take.
+          </p>
+          {corrections.length > 0 && (
+            <details className="mt-2 text-xs text-gray-600">
+              <summary className="cursor-pointer">
+                {corrections.length} OCR corrections made automatically
+              </summary>
+              <ul className="mt-1 space-y-1">
+                {corrections.map((fix, index) => (
+                  <li key={index}>
+                    {fix.indexNo} · {fix.field === 'indexNo' ? 'Index No' : fix.field}: {correctionText(fix)}
+                  </li>
+                ))}
+              </ul>
+            </details>
+          )}
+          {draft.skippedLines?.length > 0 && (
+            <details className="mt-2 text-xs text-gray-600">
+              <summary className="cursor-pointer">
+                {draft.skippedLines.length} lines were not read as student rows
+              </summary>
+              <ul className="mt-1 space-y-1">
+                {draft.skippedLines.map((entry, index) => (
+                  <li key={index}>
+                    {entry.page && `Page ${entry.page} · `}
+                    <span className="font-mono">{entry.line}</span> — {entry.message}
+                  </li>
+                ))}
+              </ul>
+            </details>
+          )}
+        </div>
+
+        {hasImage && (
+          <div className="bg-gray-50 p-2 rounded">
+            {draft.pages?.length > 1 && (
+              <div className="flex flex-wrap gap-2 mb-2">
+                {draft.pages.map(entry => (
+                  <button
+                    key={entry.page}
+                    onClick={() => setPage(entry.page)}
+                    title={entry.error || `${entry.count} rows`}
+                    className={`px-3 py-1 rounded text-sm ${
+                      entry.page === page
+                        ? 'bg-blue-600 text-white'
+                        : entry.status === 'failed' ? 'bg-red-100 text-red-700' : 'bg-white border'
+                    }`}
+                  >
+                    Page {entry.page}
+                  </button>
+                ))}
+              </div>
+            )}
+            <div className="relative">
+              <img
+                src={`${import.meta.env.VITE_API_URL}/api/drafts/${draft._id}/image?page=${page}`}
+                alt={draft.fileName}
+                className="w-full"
+                onLoad={(e) => setImageSize({
+                  width: e.target.naturalWidth,
+                  height: e.target.naturalHeight
+                })}
+              />
+              {imageSize && flaggedCells.filter(onPage).map((cell, index) => (
+                <div
+                  key={index}
+                  className="absolute border-2 border-yellow-400 bg-yellow-200/30 pointer-events-none"
+                  style={boxStyle(cell.bbox, imageSize)}
+                />
+              ))}
+              {imageSize && activeCell?.bbox && onPage(activeCell) && (
+                <div
+                  className="absolute border-2 border-blue-500 pointer-events-none"
+                  style={boxStyle(activeCell.bbox, imageSize)}
+                />
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div className="flex flex-wrap gap-4 mt-6">
+        <select
+          className="p-2 border rounded focus:ring-2 focus:ring-blue-500"
+          value={importMode}
+          onChange={(e) => setImportMode(e.target.value)}
+        >
+          {IMPORT_MODES.map(([mode, label]) => (
+            <option key={mode} value={mode}>{label}</option>
+          ))}
+        </select>
+        <button
+          onClick={handleConfirm}
+          disabled={isSaving || rows.length === 0}
+          className="bg-blue-600 text-white px-6 py-2 rounded hover:bg-blue-700 disabled:bg-blue-300 transition-colors flex-1 min-w-[200px]"
+        >
+          Confirm & Save Results
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={isSaving}
+          className="bg-gray-600 text-white px-6 py-2 rounded hover:bg-gray-700 disabled:bg-gray-300 transition-colors"
+        >
+          Save Draft
+        </button>
+        <button
+          onClick={handleDiscard}
+          disabled={isSaving}
+          className="text-red-500 hover:text-red-700 px-4 py-2"
+        >
+          Discard
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default DraftReview;
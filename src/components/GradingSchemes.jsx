@@ -0,0 +1,253 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+
+const emptyScheme = {
+  name: '',
+  description: '',
+  grades: [{ letter: '', points: '', pass: true, minMarks: '', maxMarks: '' }],
+  isDefault: false
+};
+
+function GradingSchemes({ onChange }) {
+  const [schemes, setSchemes] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadSchemes = useCallback(async () => {
+    try {
+      const response = await axios.get(
+        `${import.meta.env.VITE_API_URL}/api/grading-schemes`
+      );
+      setSchemes(response.data.data);
+    } catch (error) {
+      console.error('Grading scheme listing error:', error);
+      toast.error(error.response?.data?.error || 'Error loading grading schemes');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSchemes();
+  }, [loadSchemes]);
+
+  const refresh = () => {
+    loadSchemes();
+    onChange?.();
+  };
+
+  const updateGrade = (gradeIndex, changes) => {
+    setEditing({
+      ...editing,
+      grades: editing.grades.map((grade, index) => (
+        index === gradeIndex ? { ...grade, ...changes } : grade
+      ))
+    });
+  };
+
+  const addGrade = () => {
+    setEditing({ ...editing, grades: [...editing.grades, { ...emptyScheme.grades[0] }] });
+  };
+
+  const removeGrade = (gradeIndex) => {
+    setEditing({ ...editing, grades: editing.grades.filter((_, index) => index !== gradeIndex) });
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const response = editing._id
+        ? await axios.put(`${import.meta.env.VITE_API_URL}/api/grading-schemes/${editing._id}`, editing)
+        : await axios.post(`${import.meta.env.VITE_API_URL}/api/grading-schemes`, editing);
+      toast.success(response.data.message);
+      setEditing(null);
+      refresh();
+    } catch (error) {
+      console.error('Grading scheme save error:', error);
+      toast.error(error.response?.data?.details || error.response?.data?.error || 'Error saving grading scheme');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (scheme) => {
+    if (!window.confirm(`Delete grading scheme "${scheme.name}"?`)) return;
+
+    try {
+      const response = await axios.delete(
+        `${import.meta.env.VITE_API_URL}/api/grading-schemes/${scheme._id}`
+      );
+      toast.success(response.data.message);
+      refresh();
+    } catch (error) {
+      console.error('Grading scheme delete error:', error);
+      toast.error(error.response?.data?.error || 'Error deleting grading scheme');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <div className="flex items-center mb-4">
+        <h2 className="text-xl font-semibold">Grading Schemes</h2>
+        <button
+          onClick={() => setEditing(emptyScheme)}
+          className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition-colors ml-auto"
+        >
+          New Scheme
+        </button>
+      </div>
+
+      <div className="space-y-2 mb-6">
+        {schemes.map(scheme => (
+          <div key={scheme._id} className="flex items-center gap-2 bg-gray-50 p-3 rounded">
+            <span className="font-medium">{scheme.name}</span>
+            {scheme.isDefault && (
+              <span className="text-xs bg-green-100 text-green-700 px-2 py-0.5 rounded">Default</span>
+            )}
+            <span className="text-sm text-gray-500">
+              {scheme.grades.map(grade => `${grade.letter} ${grade.points}`).join(' · ')}
+            </span>
+            <button
+              onClick={() => setEditing(scheme)}
+              className="text-blue-600 hover:text-blue-800 ml-auto"
+            >
+              Edit
+            </button>
+            <button
+              onClick={() => handleDelete(scheme)}
+              className="text-red-500 hover:text-red-700"
+            >
+              Delete
+            </button>
+          </div>
+        ))}
+      </div>
+
+      {editing && (
+        <div className="border-t pt-6">
+          <div className="flex flex-wrap gap-4 mb-4">
+            <div className="w-full md:w-64">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Name
+              </label>
+              <input
+                className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
+                value={editing.name}
+                onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+              />
+            </div>
+            <div className="flex-1 min-w-[200px]">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Description
+              </label>
+              <input
+                className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
+                value={editing.description || ''}
+                onChange={(e) => setEditing({ ...editing, description: e.target.value })}
+              />
+            </div>
+            <label className="flex items-center gap-2 self-end pb-2">
+              <input
+                type="checkbox"
+                checked={editing.isDefault}
+                onChange={(e) => setEditing({ ...editing, isDefault: e.target.checked })}
+              />
+              Default scheme
+            </label>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full bg-white border text-sm">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="py-2 px-2 border font-semibold text-left">Grade</th>
+                  <th className="py-2 px-2 border font-semibold text-left">Points</th>
+                  <th className="py-2 px-2 border font-semibold text-left">Pass</th>
+                  <th className="py-2 px-2 border font-semibold text-left">Min Marks</th>
+                  <th className="py-2 px-2 border font-semibold text-left">Max Marks</th>
+                  <th className="py-2 px-2 border"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {editing.grades.map((grade, index) => (
+                  <tr key={index}>
+                    <td className="border">
+                      <input
+                        className="w-16 p-1"
+                        value={grade.letter}
+                        onChange={(e) => updateGrade(index, { letter: e.target.value })}
+                      />
+                    </td>
+                    <td className="border">
+                      <input
+                        type="number"
+                        step="0.1"
+                        className="w-20 p-1"
+                        value={grade.points}
+                        onChange={(e) => updateGrade(index, { points: e.target.value })}
+                      />
+                    </td>
+                    <td className="border text-center">
+                      <input
+                        type="checkbox"
+                        checked={grade.pass}
+                        onChange={(e) => updateGrade(index, { pass: e.target.checked })}
+                      />
+                    </td>
+                    <td className="border">
+                      <input
+                        type="number"
+                        className="w-20 p-1"
+                        value={grade.minMarks ?? ''}
+                        onChange={(e) => updateGrade(index, { minMarks: e.target.value })}
+                      />
+                    </td>
+                    <td className="border">
+                      <input
+                        type="number"
+                        className="w-20 p-1"
+                        value={grade.maxMarks ?? ''}
+                        onChange={(e) => updateGrade(index, { maxMarks: e.target.value })}
+                      />
+                    </td>
+                    <td className="border px-2">
+                      <button
+                        onClick={() => removeGrade(index)}
+                        className="text-red-500 hover:text-red-700"
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex flex-wrap gap-4 mt-4">
+            <button
+              onClick={addGrade}
+              className="text-blue-600 hover:text-blue-800 px-4 py-2"
+            >
+              Add Grade
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={isSaving}
+              className="bg-blue-600 text-white px-6 py-2 rounded hover:bg-blue-700 disabled:bg-blue-300 transition-colors ml-auto"
+            >
+              Save Scheme
+            </button>
+            <button
+              onClick={() => setEditing(null)}
+              className="text-gray-500 hover:text-gray-700 px-4 py-2"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default GradingSchemes;
@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+
+function ModerationReport() {
+  const [year, setYear] = useState(1);
+  const [semester, setSemester] = useState(1);
+  const [batch, setBatch] = useState('');
+  const [programme, setProgramme] = useState('');
+  const [report, setReport] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const loadReport = async () => {
+    setIsLoading(true);
+    try {
+      const params = { year, semester };
+      if (batch) params.batch = batch;
+      if (programme) params.programme = programme;
+
+      const response = await axios.get(
+        `${import.meta.env.VITE_API_URL}/api/reports/moderation`,
+        { params }
+      );
+      setReport(response.data.data);
+    } catch (error) {
+      console.error('Moderation report error:', error);
+      toast.error(error.response?.data?.details || error.response?.data?.error || 'Error loading moderation report');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <h2 className="text-xl font-semibold mb-4">Course Moderation Report</h2>
+
+      <div className="flex flex-wrap gap-4 mb-6">
+        <select
+          className="w-full md:w-40 p-2 border rounded focus:ring-2 focus:ring-blue-500"
+          value={year}
+          onChange={(e) => setYear(parseInt(e.target.value))}
+        >
+          <option value={1}>First Year</option>
+          <option value={2}>Second Year</option>
+          <option value={3}>Third Year</option>
+          <option value={4}>Fourth Year</option>
+        </select>
+        <select
+          className="w-full md:w-40 p-2 border rounded focus:ring-2 focus:ring-blue-500"
+          value={semester}
+          onChange={(e) => setSemester(parseInt(e.target.value))}
+        >
+          <option value={1}>First Semester</option>
+          <option value={2}>Second Semester</option>
+        </select>
+        <input
+          type="number"
+          placeholder="Batch (e.g. 2020)"
+          className="w-full md:w-40 p-2 border rounded focus:ring-2 focus:ring-blue-500"
+          value={batch}
+          onChange={(e) => setBatch(e.target.value)}
+        />
+        <input
+          type="text"
+          placeholder="Programme"
+          className="w-full md:w-40 p-2 border rounded focus:ring-2 focus:ring-blue-500"
+          value={programme}
+          onChange={(e) => setProgramme(e.target.value)}
+        />
+        <button
+          onClick={loadReport}
+          disabled={isLoading}
+          className="bg-blue-600 text-white px-6 py-2 rounded hover:bg-blue-700 disabled:bg-blue-300 transition-colors"
+        >
+          {isLoading ? 'Loading...' : 'Run Report'}
+        </button>
+      </div>
+
+      {report && (
+        <>
+          <p className="text-sm text-gray-500 mb-4">
+            {report.courses.length} courses · {report.flagged} flagged against earlier sittings of the same course
+          </p>
+          <div className="overflow-x-auto">
+            <table className="min-w-full bg-white border text-sm">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="py-2 px-3 border font-semibold text-left">Course</th>
+                  <th className="py-2 px-3 border font-semibold text-left">Count</th>
+                  <th className="py-2 px-3 border font-semibold text-left">Mean GP</th>
+                  <th className="py-2 px-3 border font-semibold text-left">Std Dev</th>
+                  <th className="py-2 px-3 border font-semibold text-left">Distribution</th>
+                  <th className="py-2 px-3 border font-semibold text-left">Failure Rate</th>
+                  <th className="py-2 px-3 border font-semibold text-left">Historical</th>
+                  <th className="py-2 px-3 border font-semibold text-left">Flags</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.courses.map(course => (
+                  <tr key={course.code} className={course.flags.length ? 'bg-red-50' : ''}>
+                    <td className="py-2 px-3 border">
+                      <span className="font-medium">{course.code}</span>
+                      {course.title && <span className="block text-gray-500">{course.title}</span>}
+                    </td>
+                    <td className="py-2 px-3 border">{course.total}</td>
+                    <td className="py-2 px-3 border">{course.meanGradePoints.toFixed(2)}</td>
+                    <td className="py-2 px-3 border">{course.standardDeviation.toFixed(2)}</td>
+                    <td className="py-2 px-3 border">
+                      {Object.entries(course.grades)
+                        .sort(([a], [b]) => a.localeCompare(b))
+                        .map(([grade, count]) => `${grade} ${count}`)
+                        .join(' · ')}
+                    </td>
+                    <td className="py-2 px-3 border">{course.failureRate}%</td>
+                    <td className="py-2 px-3 border text-gray-600">
+                      {course.history
+                        ? `${course.history.meanGradePoints.toFixed(2)} ± ${course.history.standardDeviation.toFixed(2)}, ${course.history.failureRate}% fail (n=${course.history.total})`
+                        : 'No earlier sittings'}
+                    </td>
+                    <td className="py-2 px-3 border text-red-700">
+                      {course.flags.map((flag, index) => <p key={index}>{flag}</p>)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ModerationReport;
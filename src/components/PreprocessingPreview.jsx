@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+
+const STEP_LABELS = {
+  original: 'Original',
+  upscale: 'Upscaled',
+  normalize: 'Contrast normalised',
+  denoise: 'Denoised',
+  perspective: 'Perspective corrected',
+  deskew: 'Deskewed',
+  threshold: 'Thresholded',
+  removeLines: 'Table lines removed'
+};
+
+const stepDetail = ({ step, detail }) => {
+  if (step === 'upscale') return `×${detail.factor}`;
+  if (step === 'perspective') return detail.corrected ? 'corrected' : 'already square';
+  if (step === 'deskew') return `${detail.angle}°`;
+  if (step === 'threshold') return detail.method;
+  return '';
+};
+
+// Runs a sample sheet through the pipeline with the settings being edited
+function PreprocessingPreview({ preprocessing }) {
+  const [file, setFile] = useState(null);
+  const [steps, setSteps] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handlePreview = async () => {
+    if (!file) {
+      toast.error('Choose a sample sheet image first');
+      return;
+    }
+
+    setIsLoading(true);
+    const formData = new FormData();
+    formData.append('resultSheet', file);
+    formData.append('preprocessing', JSON.stringify(preprocessing));
+
+    try {
+      const response = await axios.post(
+        `${import.meta.env.VITE_API_URL}/api/preprocessing/debug`,
+        formData,
+        { headers: { 'Content-Type': 'multipart/form-data' } }
+      );
+      setSteps(response.data.data.steps);
+    } catch (error) {
+      console.error('Preprocessing preview error:', error);
+      toast.error(error.response?.data?.details || error.response?.data?.error || 'Error previewing preprocessing');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-4">
+        <input
+          type="file"
+          accept="image/*"
+          onChange={(e) => setFile(e.target.files[0])}
+          className="text-sm"
+        />
+        <button
+          onClick={handlePreview}
+          disabled={isLoading}
+          className="text-blue-600 hover:text-blue-800 disabled:text-gray-300"
+        >
+          {isLoading ? 'Processing...' : 'Preview Preprocessing'}
+        </button>
+      </div>
+
+      {steps.length > 0 && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+          {steps.map(step => (
+            <figure key={step.step} className="bg-gray-50 p-2 rounded">
+              <img src={step.image} alt={STEP_LABELS[step.step]} className="w-full border" />
+              <figcaption className="text-sm text-gray-600 mt-1">
+                <span className="font-medium">{STEP_LABELS[step.step]}</span>
+                {' · '}{step.width}×{step.height}
+                {stepDetail(step) && ` · ${stepDetail(step)}`}
+                {' · '}{step.ms} ms
+              </figcaption>
+            </figure>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PreprocessingPreview;
@@ -0,0 +1,247 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+
+const emptyProgramme = {
+  code: '', name: '', yearWeights: '', repeatPolicy: 'best', repeatCapGrade: 'C', gradingScheme: ''
+};
+
+const REPEAT_POLICIES = [
+  ['best', 'Best attempt'],
+  ['latest', 'Latest attempt'],
+  ['capped', 'Best attempt, re-sits capped']
+];
+
+// Year weights are edited as comma-separated text, e.g. "20, 30, 50"
+const toForm = (programme) => ({
+  ...programme,
+  yearWeights: programme.yearWeights.join(', '),
+  gradingScheme: programme.gradingScheme || ''
+});
+
+const fromForm = (form) => ({
+  ...form,
+  yearWeights: String(form.yearWeights).split(',').map(weight => weight.trim()).filter(Boolean)
+});
+
+function Programmes({ onChange }) {
+  const [programmes, setProgrammes] = useState([]);
+  const [gradingSchemes, setGradingSchemes] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadProgrammes = useCallback(async () => {
+    try {
+      const response = await axios.get(
+        `${import.meta.env.VITE_API_URL}/api/programmes`
+      );
+      setProgrammes(response.data.data);
+    } catch (error) {
+      console.error('Programme listing error:', error);
+      toast.error(error.response?.data?.error || 'Error loading programmes');
+    }
+  }, []);
+
+  const loadGradingSchemes = useCallback(async () => {
+    try {
+      const response = await axios.get(
+        `${import.meta.env.VITE_API_URL}/api/grading-schemes`
+      );
+      setGradingSchemes(response.data.data);
+    } catch (error) {
+      console.error('Grading scheme listing error:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadProgrammes();
+    loadGradingSchemes();
+  }, [loadProgrammes, loadGradingSchemes]);
+
+  const schemeName = (id) => gradingSchemes.find(scheme => scheme._id === id)?.name;
+
+  const refresh = () => {
+    loadProgrammes();
+    onChange?.();
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const payload = fromForm(editing);
+      const response = editing._id
+        ? await axios.put(`${import.meta.env.VITE_API_URL}/api/programmes/${editing._id}`, payload)
+        : await axios.post(`${import.meta.env.VITE_API_URL}/api/programmes`, payload);
+      toast.success(response.data.message);
+      setEditing(null);
+      refresh();
+    } catch (error) {
+      console.error('Programme save error:', error);
+      toast.error(error.response?.data?.details || error.response?.data?.error || 'Error saving programme');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (programme) => {
+    if (!window.confirm(`Delete programme ${programme.code}?`)) return;
+
+    try {
+      const response = await axios.delete(
+        `${import.meta.env.VITE_API_URL}/api/programmes/${programme._id}`
+      );
+      toast.success(response.data.message);
+      refresh();
+    } catch (error) {
+      console.error('Programme delete error:', error);
+      toast.error(error.response?.data?.error || 'Error deleting programme');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <div className="flex items-center mb-4">
+        <h2 className="text-xl font-semibold">Programmes</h2>
+        <button
+          onClick={() => setEditing(emptyProgramme)}
+          className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition-colors ml-auto"
+        >
+          New Programme
+        </button>
+      </div>
+
+      <div className="space-y-2 mb-6">
+        {programmes.map(programme => (
+          <div key={programme._id} className="flex items-center gap-2 bg-gray-50 p-3 rounded">
+            <span className="font-medium">{programme.code}</span>
+            <span>{programme.name}</span>
+            <span className="text-sm text-gray-500">
+              {programme.yearWeights.length
+                ? `Year weights ${programme.yearWeights.join(' / ')}`
+                : 'Credit-weighted'}
+              {' · '}
+              {programme.repeatPolicy === 'capped'
+                ? `Re-sits capped at ${programme.repeatCapGrade}`
+                : `${programme.repeatPolicy === 'latest' ? 'Latest' : 'Best'} attempt counts`}
+              {' · '}
+              {programme.gradingScheme ? `${schemeName(programme.gradingScheme) || 'Own'} grading` : 'Default grading'}
+            </span>
+            <button
+              onClick={() => setEditing(toForm(programme))}
+              className="text-blue-600 hover:text-blue-800 ml-auto"
+            >
+              Edit
+            </button>
+            <button
+              onClick={() => handleDelete(programme)}
+              className="text-red-500 hover:text-red-700"
+            >
+              Delete
+            </button>
+          </div>
+        ))}
+      </div>
+
+      {editing && (
+        <div className="border-t pt-6">
+          <div className="flex flex-wrap gap-4 mb-4">
+            <div className="w-full md:w-32">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Code
+              </label>
+              <input
+                className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
+                placeholder="COM"
+                value={editing.code}
+                onChange={(e) => setEditing({ ...editing, code: e.target.value })}
+              />
+            </div>
+            <div className="flex-1 min-w-[200px]">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Name
+              </label>
+              <input
+                className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
+                value={editing.name}
+                onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+              />
+            </div>
+            <div className="w-full md:w-48">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Year Weights
+              </label>
+              <input
+                className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
+                placeholder="e.g. 20, 30, 50"
+                value={editing.yearWeights}
+                onChange={(e) => setEditing({ ...editing, yearWeights: e.target.value })}
+              />
+            </div>
+            <div className="w-full md:w-64">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Repeat Policy
+              </label>
+              <select
+                className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
+                value={editing.repeatPolicy}
+                onChange={(e) => setEditing({ ...editing, repeatPolicy: e.target.value })}
+              >
+                {REPEAT_POLICIES.map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="w-full md:w-48">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Grading Scheme
+              </label>
+              <select
+                className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
+                value={editing.gradingScheme}
+                onChange={(e) => setEditing({ ...editing, gradingScheme: e.target.value })}
+              >
+                <option value="">Default</option>
+                {gradingSchemes.map(scheme => (
+                  <option key={scheme._id} value={scheme._id}>{scheme.name}</option>
+                ))}
+              </select>
+            </div>
+            {editing.repeatPolicy === 'capped' && (
+              <div className="w-full md:w-32">
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Cap Grade
+                </label>
+                <input
+                  className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
+                  value={editing.repeatCapGrade}
+                  onChange={(e) => setEditing({ ...editing, repeatCapGrade: e.target.value })}
+                />
+              </div>
+            )}
+          </div>
+          <p className="text-sm text-gray-500 mb-4">
+            Leave year weights empty to weight every credit equally. Uploads that name no
+            grading scheme are graded with the programme's.
+          </p>
+          <div className="flex gap-4">
+            <button
+              onClick={handleSave}
+              disabled={isSaving}
+              className="bg-blue-600 text-white px-6 py-2 rounded hover:bg-blue-700 disabled:bg-blue-300 transition-colors"
+            >
+              Save Programme
+            </button>
+            <button
+              onClick={() => setEditing(null)}
+              className="text-gray-500 hover:text-gray-700 px-4 py-2"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Programmes;
@@ -0,0 +1,393 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+import PreprocessingPreview from './PreprocessingPreview';
+
+const ROLES = [
+  ['indexNo', 'Index Number'],
+  ['name', 'Name'],
+  ['course', 'Course Columns'],
+  ['ignore', 'Ignore']
+];
+
+// Blank preprocessing fields fall back to the server defaults shown as placeholders
+const PREPROCESSING_FIELDS = [
+  ['upscaleMinWidth', 'Upscale Below Width (px)', 2000],
+  ['denoise', 'Denoise Filter Size', 3],
+  ['maxSkewAngle', 'Max Skew Angle (°)', 5],
+  ['thresholdWindow', 'Threshold Window (of width)', 0.03],
+  ['thresholdOffset', 'Threshold Offset (%)', 12],
+  ['globalThreshold', 'Global Threshold (0-255)', 128],
+  ['minLineLength', 'Min Line Length (of page)', 0.1]
+];
+
+const PREPROCESSING_SWITCHES = [
+  ['deskew', 'Deskew', 'On'],
+  ['perspective', 'Perspective Correction', 'Off'],
+  ['removeLines', 'Remove Table Lines', 'On']
+];
+
+const emptyTemplate = {
+  name: '',
+  description: '',
+  columns: [
+    { role: 'indexNo', aliases: 'INDEX NO' },
+    { role: 'name', aliases: 'NAME' },
+    { role: 'course', aliases: '' }
+  ],
+  indexNoPattern: '^\\d{2}/[A-Z]{3}/\\d{3}$',
+  separator: '',
+  region: null,
+  preprocessing: {}
+};
+
+// The editor keeps aliases as comma-separated text and the region in percent
+const toForm = (template) => ({
+  ...template,
+  columns: template.columns.map(column => ({ ...column, aliases: column.aliases.join(', ') })),
+  region: template.region?.width
+    ? Object.fromEntries(Object.entries(template.region).map(([key, value]) => [key, Math.round(value * 100)]))
+    : null,
+  preprocessing: template.preprocessing || {}
+});
+
+const fromForm = (form) => ({
+  ...form,
+  region: form.region
+    ? Object.fromEntries(Object.entries(form.region).map(([key, value]) => [key, Number(value) / 100]))
+    : null
+});
+
+function SheetTemplates({ onChange }) {
+  const [templates, setTemplates] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadTemplates = useCallback(async () => {
+    try {
+      const response = await axios.get(
+        `${import.meta.env.VITE_API_URL}/api/sheet-templates`
+      );
+      setTemplates(response.data.data);
+    } catch (error) {
+      console.error('Sheet template listing error:', error);
+      toast.error(error.response?.data?.error || 'Error loading sheet templates');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTemplates();
+  }, [loadTemplates]);
+
+  const refresh = () => {
+    loadTemplates();
+    onChange?.();
+  };
+
+  const updateColumn = (columnIndex, changes) => {
+    setEditing({
+      ...editing,
+      columns: editing.columns.map((column, index) => (
+        index === columnIndex ? { ...column, ...changes } : column
+      ))
+    });
+  };
+
+  const moveColumn = (columnIndex, offset) => {
+    const columns = [...editing.columns];
+    const [column] = columns.splice(columnIndex, 1);
+    columns.splice(columnIndex + offset, 0, column);
+    setEditing({ ...editing, columns });
+  };
+
+  const removeColumn = (columnIndex) => {
+    setEditing({ ...editing, columns: editing.columns.filter((_, index) => index !== columnIndex) });
+  };
+
+  const updateRegion = (key, value) => {
+    setEditing({ ...editing, region: { ...editing.region, [key]: value } });
+  };
+
+  const updatePreprocessing = (key, value) => {
+    setEditing({ ...editing, preprocessing: { ...editing.preprocessing, [key]: value } });
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const payload = fromForm(editing);
+      const response = editing._id
+        ? await axios.put(`${import.meta.env.VITE_API_URL}/api/sheet-templates/${editing._id}`, payload)
+        : await axios.post(`${import.meta.env.VITE_API_URL}/api/sheet-templates`, payload);
+      toast.success(response.data.message);
+      setEditing(null);
+      refresh();
+    } catch (error) {
+      console.error('Sheet template save error:', error);
+      toast.error(error.response?.data?.details || error.response?.data?.error || 'Error saving sheet template');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete sheet template "${template.name}"?`)) return;
+
+    try {
+      const response = await axios.delete(
+        `${import.meta.env.VITE_API_URL}/api/sheet-templates/${template._id}`
+      );
+      toast.success(response.data.message);
+      refresh();
+    } catch (error) {
+      console.error('Sheet template delete error:', error);
+      toast.error(error.response?.data?.error || 'Error deleting sheet template');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <div className="flex items-center mb-4">
+        <h2 className="text-xl font-semibold">Sheet Templates</h2>
+        <button
+          onClick={() => setEditing(emptyTemplate)}
+          className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition-colors ml-auto"
+        >
+          New Template
+        </button>
+      </div>
+
+      <div className="space-y-2 mb-6">
+        {templates.map(template => (
+          <div key={template._id} className="flex items-center gap-2 bg-gray-50 p-3 rounded">
+            <span className="font-medium">{template.name}</span>
+            <span className="text-sm text-gray-500">
+              {template.columns.map(column => column.role).join(' → ')}
+            </span>
+            <button
+              onClick={() => setEditing(toForm(template))}
+              className="text-blue-600 hover:text-blue-800 ml-auto"
+            >
+              Edit
+            </button>
+            <button
+              onClick={() => handleDelete(template)}
+              className="text-red-500 hover:text-red-700"
+            >
+              Delete
+            </button>
+          </div>
+        ))}
+      </div>
+
+      {editing && (
+        <div className="border-t pt-6 space-y-4">
+          <div className="flex flex-wrap gap-4">
+            <div className="w-full md:w-64">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Name
+              </label>
+              <input
+                className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
+                value={editing.name}
+                onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+              />
+            </div>
+            <div className="flex-1 min-w-[200px]">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Description
+              </label>
+              <input
+                className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
+                value={editing.description || ''}
+                onChange={(e) => setEditing({ ...editing, description: e.target.value })}
+              />
+            </div>
+          </div>
+
+          <div>
+            <h3 className="text-lg font-medium mb-2">Columns (left to right)</h3>
+            <div className="space-y-2">
+              {editing.columns.map((column, index) => (
+                <div key={index} className="flex flex-wrap items-center gap-2">
+                  <select
+                    className="p-2 border rounded focus:ring-2 focus:ring-blue-500"
+                    value={column.role}
+                    onChange={(e) => updateColumn(index, { role: e.target.value })}
+                  >
+                    {ROLES.map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                  <input
+                    className="flex-1 min-w-[200px] p-2 border rounded focus:ring-2 focus:ring-blue-500"
+                    placeholder={column.role === 'course' ? 'Matched by course code' : 'Header aliases, comma separated'}
+                    disabled={column.role === 'course'}
+                    value={column.aliases}
+                    onChange={(e) => updateColumn(index, { aliases: e.target.value })}
+                  />
+                  <button
+                    onClick={() => moveColumn(index, -1)}
+                    disabled={index === 0}
+                    className="text-gray-500 hover:text-gray-700 disabled:text-gray-300 px-2"
+                  >
+                    ↑
+                  </button>
+                  <button
+                    onClick={() => moveColumn(index, 1)}
+                    disabled={index === editing.columns.length - 1}
+                    className="text-gray-500 hover:text-gray-700 disabled:text-gray-300 px-2"
+                  >
+                    ↓
+                  </button>
+                  <button
+                    onClick={() => removeColumn(index)}
+                    className="text-red-500 hover:text-red-700"
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
+            </div>
+            <button
+              onClick={() => setEditing({ ...editing, columns: [...editing.columns, { role: 'ignore', aliases: '' }] })}
+              className="text-blue-600 hover:text-blue-800 mt-2"
+            >
+              Add Column
+            </button>
+          </div>
+
+          <div className="flex flex-wrap gap-4">
+            <div className="flex-1 min-w-[200px]">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Index Number Pattern (regex)
+              </label>
+              <input
+                className="w-full p-2 border rounded font-mono focus:ring-2 focus:ring-blue-500"
+                value={editing.indexNoPattern || ''}
+                onChange={(e) => setEditing({ ...editing, indexNoPattern: e.target.value })}
+              />
+            </div>
+            <div className="flex-1 min-w-[200px]">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Column Separator (regex)
+              </label>
+              <input
+                className="w-full p-2 border rounded font-mono focus:ring-2 focus:ring-blue-500"
+                placeholder="Two or more spaces, or |"
+                value={editing.separator || ''}
+                onChange={(e) => setEditing({ ...editing, separator: e.target.value })}
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="flex items-center gap-2 mb-2">
+              <input
+                type="checkbox"
+                checked={Boolean(editing.region)}
+                onChange={(e) => setEditing({
+                  ...editing,
+                  region: e.target.checked ? { x: 0, y: 0, width: 100, height: 100 } : null
+                })}
+              />
+              Only read part of the page (percent of width / height)
+            </label>
+            {editing.region && (
+              <div className="flex flex-wrap gap-4">
+                {[['x', 'Left'], ['y', 'Top'], ['width', 'Width'], ['height', 'Height']].map(([key, label]) => (
+                  <div key={key} className="w-24">
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      {label}
+                    </label>
+                    <input
+                      type="number"
+                      min={0}
+                      max={100}
+                      className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
+                      value={editing.region[key]}
+                      onChange={(e) => updateRegion(key, e.target.value)}
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div>
+            <h3 className="text-lg font-medium mb-2">Image Preprocessing</h3>
+            <div className="flex flex-wrap gap-4 mb-4">
+              {PREPROCESSING_SWITCHES.map(([key, label, fallback]) => (
+                <div key={key} className="w-44">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    {label}
+                  </label>
+                  <select
+                    className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
+                    value={String(editing.preprocessing[key] ?? '')}
+                    onChange={(e) => updatePreprocessing(key, e.target.value)}
+                  >
+                    <option value="">Default ({fallback})</option>
+                    <option value="true">On</option>
+                    <option value="false">Off</option>
+                  </select>
+                </div>
+              ))}
+              <div className="w-44">
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Threshold
+                </label>
+                <select
+                  className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
+                  value={editing.preprocessing.threshold || ''}
+                  onChange={(e) => updatePreprocessing('threshold', e.target.value)}
+                >
+                  <option value="">Default (Adaptive)</option>
+                  <option value="adaptive">Adaptive</option>
+                  <option value="global">Global</option>
+                  <option value="none">None</option>
+                </select>
+              </div>
+            </div>
+            <div className="flex flex-wrap gap-4 mb-4">
+              {PREPROCESSING_FIELDS.map(([key, label, fallback]) => (
+                <div key={key} className="w-44">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    {label}
+                  </label>
+                  <input
+                    type="number"
+                    step="any"
+                    placeholder={String(fallback)}
+                    className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
+                    value={editing.preprocessing[key] ?? ''}
+                    onChange={(e) => updatePreprocessing(key, e.target.value)}
+                  />
+                </div>
+              ))}
+            </div>
+            <PreprocessingPreview preprocessing={editing.preprocessing} />
+          </div>
+
+          <div className="flex flex-wrap gap-4">
+            <button
+              onClick={handleSave}
+              disabled={isSaving}
+              className="bg-blue-600 text-white px-6 py-2 rounded hover:bg-blue-700 disabled:bg-blue-300 transition-colors ml-auto"
+            >
+              Save Template
+            </button>
+            <button
+              onClick={() => setEditing(null)}
+              className="text-gray-500 hover:text-gray-700 px-4 py-2"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SheetTemplates;
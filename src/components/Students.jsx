@@ -0,0 +1,248 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+
+const STATUSES = ['active', 'graduated', 'withdrawn', 'suspended'];
+
+function Students() {
+  const [students, setStudents] = useState([]);
+  const [search, setSearch] = useState('');
+  const [batch, setBatch] = useState('');
+  const [programme, setProgramme] = useState('');
+  const [conflictsOnly, setConflictsOnly] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadStudents = useCallback(async ({ q, batch, programme, conflicts }) => {
+    try {
+      const params = {};
+      if (q) params.q = q;
+      if (batch) params.batch = batch;
+      if (programme) params.programme = programme;
+      if (conflicts) params.conflicts = 'true';
+
+      const response = await axios.get(
+        `${import.meta.env.VITE_API_URL}/api/students`,
+        { params }
+      );
+      setStudents(response.data.data);
+    } catch (error) {
+      console.error('Student listing error:', error);
+      toast.error(error.response?.data?.error || 'Error loading students');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStudents({});
+  }, [loadStudents]);
+
+  const filters = { q: search, batch, programme, conflicts: conflictsOnly };
+
+  const saveStudent = async (student) => {
+    setIsSaving(true);
+    try {
+      const response = await axios.put(
+        `${import.meta.env.VITE_API_URL}/api/students/${student._id}`,
+        student
+      );
+      toast.success(response.data.message);
+      setEditing(null);
+      loadStudents(filters);
+    } catch (error) {
+      console.error('Student save error:', error);
+      toast.error(error.response?.data?.details || error.response?.data?.error || 'Error saving student');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const field = (key, label, props = {}) => (
+    <div className="w-full md:w-48">
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        {label}
+      </label>
+      <input
+        className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
+        value={editing[key] ?? ''}
+        onChange={(e) => setEditing({ ...editing, [key]: e.target.value })}
+        {...props}
+      />
+    </div>
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <div className="flex flex-wrap items-center gap-4 mb-4">
+        <h2 className="text-xl font-semibold">Students</h2>
+        <label className="flex items-center gap-2 text-sm ml-auto">
+          <input
+            type="checkbox"
+            checked={conflictsOnly}
+            onChange={(e) => {
+              setConflictsOnly(e.target.checked);
+              loadStudents({ ...filters, conflicts: e.target.checked });
+            }}
+          />
+          Only name conflicts
+        </label>
+      </div>
+
+      {editing && (
+        <div className="border rounded p-4 mb-6">
+          <p className="font-medium mb-4">{editing.indexNo}</p>
+          <div className="flex flex-wrap gap-4 mb-4">
+            <div className="flex-1 min-w-[200px]">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Name
+              </label>
+              <input
+                className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
+                value={editing.name}
+                onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+              />
+            </div>
+            {field('programme', 'Programme')}
+            {field('intakeYear', 'Intake Year', { type: 'number' })}
+            <div className="w-full md:w-48">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Status
+              </label>
+              <select
+                className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
+                value={editing.status}
+                onChange={(e) => setEditing({ ...editing, status: e.target.value })}
+              >
+                {STATUSES.map(status => (
+                  <option key={status} value={status}>{status}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {editing.nameConflicts?.length > 0 && (
+            <div className="bg-orange-50 p-3 rounded mb-4">
+              <p className="text-sm font-medium mb-2">Names read on uploaded sheets</p>
+              {editing.nameConflicts.map((conflict, index) => (
+                <div key={index} className="flex flex-wrap items-center gap-2 text-sm">
+                  <span className="font-medium">{conflict.name}</span>
+                  <span className="text-gray-500">
+                    {conflict.fileName} · {new Date(conflict.seenAt).toLocaleDateString()}
+                  </span>
+                  <button
+                    onClick={() => setEditing({ ...editing, name: conflict.name })}
+                    className="text-blue-600 hover:text-blue-800 ml-auto"
+                  >
+                    Use this name
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="flex gap-4">
+            <button
+              onClick={() => saveStudent(editing)}
+              disabled={isSaving}
+              className="bg-blue-600 text-white px-6 py-2 rounded hover:bg-blue-700 disabled:bg-blue-300 transition-colors"
+            >
+              Save Student
+            </button>
+            {editing.nameConflicts?.length > 0 && (
+              <button
+                onClick={() => saveStudent({ ...editing, clearConflicts: true })}
+                disabled={isSaving}
+                className="bg-green-600 text-white px-6 py-2 rounded hover:bg-green-700 disabled:bg-green-300 transition-colors"
+              >
+                Save & Resolve Conflicts
+              </button>
+            )}
+            <button
+              onClick={() => setEditing(null)}
+              className="text-gray-500 hover:text-gray-700 px-4 py-2"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="flex gap-4 mb-4">
+        <input
+          type="text"
+          placeholder="Search by index number or name"
+          className="flex-1 p-2 border rounded focus:ring-2 focus:ring-blue-500"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && loadStudents(filters)}
+        />
+        <input
+          type="number"
+          placeholder="Batch"
+          className="w-28 p-2 border rounded focus:ring-2 focus:ring-blue-500"
+          value={batch}
+          onChange={(e) => setBatch(e.target.value)}
+        />
+        <input
+          type="text"
+          placeholder="Programme"
+          className="w-28 p-2 border rounded focus:ring-2 focus:ring-blue-500"
+          value={programme}
+          onChange={(e) => setProgramme(e.target.value)}
+        />
+        <button
+          onClick={() => loadStudents(filters)}
+          className="bg-blue-600 text-white px-6 py-2 rounded hover:bg-blue-700 transition-colors"
+        >
+          Search
+        </button>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-white border">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="py-3 px-4 border font-semibold text-left">Index No</th>
+              <th className="py-3 px-4 border font-semibold text-left">Name</th>
+              <th className="py-3 px-4 border font-semibold text-left">Programme</th>
+              <th className="py-3 px-4 border font-semibold text-left">Intake</th>
+              <th className="py-3 px-4 border font-semibold text-left">Status</th>
+              <th className="py-3 px-4 border font-semibold text-left">Final GPA</th>
+              <th className="py-3 px-4 border font-semibold text-left">Class</th>
+              <th className="py-3 px-4 border"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {students.map((student, index) => (
+              <tr key={student._id} className={index % 2 === 0 ? 'bg-gray-50' : ''}>
+                <td className="py-2 px-4 border font-medium">{student.indexNo}</td>
+                <td className="py-2 px-4 border">
+                  {student.name}
+                  {student.nameConflicts?.length > 0 && (
+                    <span className="text-xs bg-orange-100 text-orange-700 px-2 py-0.5 rounded ml-2">
+                      {student.nameConflicts.length} name conflict{student.nameConflicts.length > 1 ? 's' : ''}
+                    </span>
+                  )}
+                </td>
+                <td className="py-2 px-4 border">{student.programme || '-'}</td>
+                <td className="py-2 px-4 border">{student.intakeYear || '-'}</td>
+                <td className="py-2 px-4 border">{student.status}</td>
+                <td className="py-2 px-4 border">{student.finalGPA?.toFixed(2) || '-'}</td>
+                <td className="py-2 px-4 border">{student.finalClass || '-'}</td>
+                <td className="py-2 px-4 border">
+                  <button
+                    onClick={() => setEditing(student)}
+                    className="text-blue-600 hover:text-blue-800"
+                  >
+                    Edit
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default Students;
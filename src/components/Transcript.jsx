@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+
+const formatGPA = (gpa) => (gpa != null ? gpa.toFixed(2) : 'N/A');
+
+function Transcript({ transcript }) {
+  const [collapsed, setCollapsed] = useState([]);
+
+  const toggleYear = (year) => {
+    setCollapsed(collapsed.includes(year)
+      ? collapsed.filter(entry => entry !== year)
+      : [...collapsed, year]);
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <h3 className="text-lg font-medium">Academic Transcript</h3>
+        <span className="text-sm text-gray-500">
+          Cumulative GPA {formatGPA(transcript.cumulativeGPA)} · {transcript.creditsEarned} credits earned
+        </span>
+      </div>
+
+      <div className="space-y-4">
+        {transcript.years.map(year => (
+          <div key={year.year} className="border rounded">
+            <button
+              onClick={() => toggleYear(year.year)}
+              className="w-full flex flex-wrap items-center gap-4 bg-gray-100 px-4 py-3 text-left"
+            >
+              <span className="font-medium">
+                {collapsed.includes(year.year) ? '▸' : '▾'} Year {year.year}
+              </span>
+              <span className="text-sm text-gray-600">GPA {formatGPA(year.gpa)}</span>
+              <span className="text-sm text-gray-600">{year.creditsEarned} credits earned</span>
+              {year.weight != null && (
+                <span className="text-sm text-gray-600">Weight {year.weight}</span>
+              )}
+            </button>
+
+            {!collapsed.includes(year.year) && (
+              <div className="p-4 space-y-4">
+                {year.semesters.map((semester, index) => (
+                  <div key={index}>
+                    <div className="flex flex-wrap gap-4 text-sm mb-2">
+                      <span className="font-medium">
+                        Semester {semester.semester}
+                        {semester.examSession && ` · ${semester.examSession}`}
+                      </span>
+                      <span>Semester GPA {formatGPA(semester.semesterGPA)}</span>
+                      <span>Cumulative GPA {formatGPA(semester.cumulativeGPA)}</span>
+                      <span>{semester.creditsEarned} credits earned</span>
+                    </div>
+                    <div className="overflow-x-auto">
+                      <table className="min-w-full bg-white border">
+                        <thead className="bg-gray-100">
+                          <tr>
+                            <th className="py-3 px-4 border font-semibold text-left">Course Code</th>
+                            <th className="py-3 px-4 border font-semibold text-left">Title</th>
+                            <th className="py-3 px-4 border font-semibold text-left">Grade</th>
+                            <th className="py-3 px-4 border font-semibold text-left">Credit Hours</th>
+                            <th className="py-3 px-4 border font-semibold text-left">Quality Points</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {semester.courses.map((course, courseIndex) => (
+                            <tr
+                              key={course.code}
+                              className={`${courseIndex % 2 === 0 ? 'bg-gray-50' : ''} ${course.counted === false ? 'text-gray-400' : ''}`}
+                              title={course.counted === false ? 'Superseded by another attempt' : undefined}
+                            >
+                              <td className="py-2 px-4 border">{course.code}</td>
+                              <td className="py-2 px-4 border">{course.title || '-'}</td>
+                              <td className="py-2 px-4 border font-medium">
+                                {course.grade}
+                                {course.cappedFrom && (
+                                  <span className="text-sm text-gray-500 ml-1">(capped from {course.cappedFrom})</span>
+                                )}
+                              </td>
+                              <td className="py-2 px-4 border">{course.creditHours}</td>
+                              <td className="py-2 px-4 border">{course.qualityPoints?.toFixed(2)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default Transcript;
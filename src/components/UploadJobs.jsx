@@ -0,0 +1,93 @@
+import React from 'react';
+
+const STATUS_STYLES = {
+  queued: 'bg-gray-100 text-gray-700',
+  processing: 'bg-blue-100 text-blue-700',
+  completed: 'bg-green-100 text-green-700',
+  failed: 'bg-red-100 text-red-700'
+};
+
+const STAGE_LABELS = {
+  preprocessing: 'Preprocessing',
+  ocr: 'Reading text',
+  parsing: 'Parsing rows',
+  validation: 'Checking students',
+  saving: 'Saving draft'
+};
+
+const stageLabel = ({ stage, page, pages }) => (
+  pages > 1 ? `${STAGE_LABELS[stage]} · page ${page} of ${pages}` : STAGE_LABELS[stage]
+);
+
+const jobSummary = (job) => {
+  if (job.status === 'completed') return `${job.result?.count ?? 0} rows extracted`;
+  if (job.status === 'failed') return job.error;
+  if (job.status === 'processing') return `Started ${new Date(job.startedAt).toLocaleTimeString()}`;
+  return `Queued ${new Date(job.createdAt).toLocaleTimeString()}`;
+};
+
+function UploadJobs({ jobs, progress, onReview, onMapColumns }) {
+  return (
+    <div className="mt-6">
+      <h3 className="text-lg font-medium mb-3">Uploads</h3>
+      <div className="space-y-2">
+        {jobs.map(job => {
+          const live = progress[job._id];
+
+          return (
+            <div key={job._id} className="flex flex-wrap items-center gap-2 bg-gray-50 p-3 rounded">
+              <span className="font-medium">{job.fileName}</span>
+              <span className={`text-xs px-2 py-0.5 rounded ${STATUS_STYLES[job.status]}`}>
+                {job.status}
+              </span>
+              <span className="text-sm text-gray-500">{jobSummary(job)}</span>
+              {job.status === 'completed' && job.draft && (
+                <button
+                  onClick={() => onReview(job.draft)}
+                  className="text-blue-600 hover:text-blue-800 ml-auto"
+                >
+                  Review
+                </button>
+              )}
+              {job.result?.needsMapping && (
+                <button
+                  onClick={() => onMapColumns(job)}
+                  className="text-blue-600 hover:text-blue-800 ml-auto"
+                >
+                  Map Columns
+                </button>
+              )}
+              {job.status === 'processing' && live?.progress && (
+                <div className="w-full">
+                  <div className="flex justify-between text-xs text-gray-600 mb-1">
+                    <span>{stageLabel(live.progress)}</span>
+                    <span>{live.progress.percent}%</span>
+                  </div>
+                  <div className="w-full bg-gray-200 rounded h-2">
+                    <div
+                      className="bg-blue-600 h-2 rounded transition-all"
+                      style={{ width: `${live.progress.percent}%` }}
+                    />
+                  </div>
+                </div>
+              )}
+              {live?.warnings.length > 0 && (
+                <ul className="w-full max-h-32 overflow-y-auto text-xs text-orange-700">
+                  {live.warnings.map((warning, index) => (
+                    <li key={index}>
+                      {[warning.page && `Page ${warning.page}`, warning.indexNo].filter(Boolean).join(' · ')}
+                      {(warning.page || warning.indexNo) && ': '}
+                      {warning.message}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default UploadJobs;
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { moderateCourses } = require('../courseStatistics.cjs');
+
+const scheme = {
+  name: 'Standard',
+  grades: [
+    { letter: 'A', points: 4, pass: true },
+    { letter: 'B', points: 3, pass: true },
+    { letter: 'C', points: 2, pass: true },
+    { letter: 'D', points: 1, pass: true },
+    { letter: 'F', points: 0, pass: false }
+  ]
+};
+const schemeFor = () => scheme;
+
+// Grade counts of one course for one cohort, as countGrades groups them by sitting
+const sitting = (batch, code, grades) => Object.entries(grades).map(([grade, count]) => ({
+  _id: { code, grade, batch, programme: 'CSC' },
+  count
+}));
+
+// Two cohorts sat CSC101 and CSC102 in the same year and semester; the 2021
+// cohort did markedly worse in CSC101 only
+const counts = [
+  ...sitting(2020, 'CSC101', { A: 10, B: 15, C: 10, D: 3, F: 2 }),
+  ...sitting(2020, 'CSC102', { A: 8, B: 14, C: 12, D: 4, F: 2 }),
+  ...sitting(2021, 'CSC101', { B: 2, C: 8, D: 12, F: 18 }),
+  ...sitting(2021, 'CSC102', { A: 9, B: 13, C: 12, D: 4, F: 2 })
+];
+
+test('flags a course whose grades shifted against the other cohort', () => {
+  const courses = moderateCourses(counts, { batch: 2021 }, schemeFor);
+  const byCode = Object.fromEntries(courses.map(course => [course.code, course]));
+
+  assert.strictEqual(byCode.CSC101.total, 40);
+  assert.strictEqual(byCode.CSC101.history.total, 40);
+  assert.ok(byCode.CSC101.flags.some(flag => flag.startsWith('Mean')));
+  assert.ok(byCode.CSC101.flags.some(flag => flag.startsWith('Failure rate')));
+  assert.deepStrictEqual(byCode.CSC102.flags, []);
+});
+
+test('leaves the reported cohort out of its own norm', () => {
+  const courses = moderateCourses(counts, { batch: 2020 }, schemeFor);
+
+  courses.forEach(course => assert.strictEqual(course.total, 40));
+  courses.forEach(course => assert.strictEqual(course.history.total, 40));
+});
+
+test('has no norm when every sitting is being reported', () => {
+  const courses = moderateCourses(counts, {}, schemeFor);
+
+  courses.forEach(course => {
+    assert.strictEqual(course.history, undefined);
+    assert.deepStrictEqual(course.flags, []);
+  });
+});